@@ -1,5 +1,41 @@
-export type {Options, Table, TableRow, TableCell} from './lib/types.js'
+export type {
+  FromMarkdownOptions,
+  HastOptions,
+  OnWarning,
+  Options,
+  Table,
+  TableRow,
+  TableCell,
+  TableCellContent,
+  WarningOptions,
+  WarningRule
+} from './lib/types.js'
 export {gfmTableFromMarkdown, gfmTableToMarkdown} from './lib/index.js'
 export {gfmTableHastHandlers} from './lib/hast.js'
+export {gfmTableFromHastHandlers} from './lib/from-hast.js'
+export type {GridRow, GridSlot, TableGrid} from './lib/grid.js'
+export {gridToTable, tableToGrid} from './lib/grid.js'
+export type {
+  CompareValues,
+  FilterRow,
+  MergeOptions,
+  SortOptions
+} from './lib/edit.js'
+export {
+  filterTableRows,
+  insertColumn,
+  insertRow,
+  mergeTableCells,
+  moveColumn,
+  removeColumn,
+  removeRow,
+  sortTableRows,
+  transposeTable,
+  unmergeTableCells
+} from './lib/edit.js'
 export type {Options as MarkOptions} from './lib/markdown.js'
 export {markdownTable} from './lib/markdown.js'
+export type {GridTableOptions} from './lib/grid-table.js'
+export {gridTable} from './lib/grid-table.js'
+export type {CsvOptions, RecordsOptions, ToCsvOptions} from './lib/csv.js'
+export {tableFromCsv, tableToCsv, tableToRecords} from './lib/csv.js'
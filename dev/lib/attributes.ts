@@ -0,0 +1,171 @@
+import type {AlignType} from 'mdast'
+import type {HastProperties} from './types.js'
+
+/**
+ * Attribute block at the end of a value, after whitespace or at its start.
+ */
+const blockExpression = /(^|[ \t]){([^{}\n]*)}[ \t]*$/
+
+/**
+ * Attribute in a block: `.class`, `#id`, or `key=value`, where the value can
+ * be quoted.
+ */
+const attributeExpression =
+  /\s*(?:([.#])([^\s.#={}"']+)|([^\s.#={}"']+)=(?:"((?:[^"\\]|\\.)*)"|'([^']*)'|([^\s"'{}]+)))/y
+
+/**
+ * Value that can be written after `#` or `.`.
+ */
+const nameExpression = /^[^\s.#={}"']+$/
+
+/**
+ * Properties that follow from the structure of the table, which are not
+ * written in attribute blocks.
+ */
+const structural = new Set(['colspan', 'rowspan'])
+
+/**
+ * Parse the inside of an attribute block (`.class #id key=value`).
+ *
+ * @param {string} value
+ *   Attributes, without braces.
+ * @returns {HastProperties | undefined}
+ *   Properties, or `undefined` if `value` is not a valid attribute block.
+ */
+export function parseAttributes(value: string): HastProperties | undefined {
+  const properties: HastProperties = {}
+  const classNames: Array<string> = []
+  attributeExpression.lastIndex = 0
+
+  if (!value.trim()) return
+
+  while (attributeExpression.lastIndex < value.length) {
+    const start = attributeExpression.lastIndex
+    const match = attributeExpression.exec(value)
+
+    if (!match) {
+      if (value.slice(start).trim()) return
+      break
+    }
+
+    if (match[1] === '.') {
+      classNames.push(match[2])
+    } else if (match[1] === '#') {
+      properties.id = match[2]
+    } else {
+      const key = match[3]
+      const raw =
+        match[4] === undefined
+          ? match[5] ?? match[6]
+          : match[4].replaceAll(/\\(.)/g, '$1')
+
+      if (key === 'class') {
+        classNames.push(...raw.split(/\s+/).filter(Boolean))
+      } else {
+        properties[key] =
+          structural.has(key) && /^\d+$/.test(raw) ? Number(raw) : raw
+      }
+    }
+  }
+
+  if (classNames.length > 0) properties.className = classNames
+  return properties
+}
+
+/**
+ * Split an attribute block off the end of a value.
+ *
+ * @param {string} value
+ *   Value, such as the text at the end of a cell.
+ * @returns {[string, HastProperties] | undefined}
+ *   Value before the block and properties, if `value` ends in a valid block.
+ */
+export function splitAttributes(
+  value: string
+): [string, HastProperties] | undefined {
+  const match = blockExpression.exec(value)
+  const properties = match ? parseAttributes(match[2]) : undefined
+
+  if (match && properties) {
+    return [value.slice(0, match.index + match[1].length), properties]
+  }
+}
+
+/**
+ * Serialize properties as an attribute block (`{#id .class key=value}`).
+ *
+ * `colspan` and `rowspan` are skipped, as they follow from the table, and so
+ * is `align` when it is the alignment of the column.
+ *
+ * @param {HastProperties | null | undefined} properties
+ *   Properties.
+ * @param {AlignType | undefined} [align]
+ *   Alignment of the column.
+ * @returns {string}
+ *   Attribute block, or an empty string if there is nothing to write.
+ */
+export function serializeAttributes(
+  properties: HastProperties | null | undefined,
+  align?: AlignType | undefined
+): string {
+  const result: Array<string> = []
+
+  for (const [key, value] of Object.entries(properties ?? {})) {
+    if (structural.has(key) || value === null || value === undefined) continue
+    if (value === false || (key === 'align' && value === align)) continue
+
+    if (key === 'id' && nameExpression.test(String(value))) {
+      result.unshift('#' + String(value))
+    } else if (key === 'className') {
+      result.push(...toList(value).map((d) => '.' + d))
+    } else {
+      const raw = Array.isArray(value) ? value.join(' ') : String(value)
+      result.push(
+        key +
+          '=' +
+          (/^[^\s"'{}]+$/.test(raw)
+            ? raw
+            : '"' + raw.replaceAll(/["\\]/g, '\\$&') + '"')
+      )
+    }
+  }
+
+  return result.length > 0 ? '{' + result.join(' ') + '}' : ''
+}
+
+/**
+ * Merge properties, adding class names to those already there, once.
+ *
+ * @param {HastProperties | null | undefined} base
+ *   Properties to merge into.
+ * @param {HastProperties} properties
+ *   Properties to add.
+ * @returns {HastProperties}
+ *   Merged properties.
+ */
+export function mergeProperties(
+  base: HastProperties | null | undefined,
+  properties: HastProperties
+): HastProperties {
+  const result: HastProperties = {...base, ...properties}
+  const classNames = [
+    ...new Set([...toList(base?.className), ...toList(properties.className)])
+  ]
+
+  if (classNames.length > 0) result.className = classNames
+  return result
+}
+
+/**
+ * Turn a property value into a list.
+ *
+ * @param {HastProperties[string]} value
+ *   Property value.
+ * @returns {Array<string>}
+ *   List.
+ */
+function toList(value: HastProperties[string]): Array<string> {
+  if (Array.isArray(value)) return value.map(String)
+  if (typeof value === 'string') return value.split(/\s+/).filter(Boolean)
+  return typeof value === 'number' ? [String(value)] : []
+}
@@ -0,0 +1,428 @@
+import type {AlignType} from 'mdast'
+import {toString} from 'mdast-util-to-string'
+import {type GridRow, tableToGrid} from './grid.js'
+import type {Table, TableBody, TableCell, TableHead, TableRow} from './types.js'
+import {hasFlow, toNumber} from './util.js'
+
+/**
+ * Configuration for `tableFromCsv`.
+ */
+export interface CsvOptions {
+  /**
+   * Character between fields (optional);
+   * detected from the first line when not given: the most frequent of `,`,
+   * tab, `;`, and `|`, or `,`.
+   */
+  delimiter?: string | null | undefined
+  /**
+   * Character to quote fields with (default: `'"'`);
+   * quoted fields can hold delimiters and line endings, and quotes when
+   * doubled.
+   */
+  quote?: string | null | undefined
+  /**
+   * Whether the first row is a head row (optional);
+   * detected when not given: the first row is a head row unless it has a
+   * number in a column with only numbers below it.
+   */
+  header?: boolean | null | undefined
+  /**
+   * Alignment of the columns (optional);
+   * inferred when not given: columns with only numbers in the body are
+   * aligned right.
+   */
+  align?: ReadonlyArray<AlignType | undefined> | null | undefined
+}
+
+/**
+ * Configuration for `tableToRecords`.
+ */
+export interface RecordsOptions {
+  /**
+   * What to write in slots covered by a `colspan` or `rowspan` (default:
+   * `'empty'`);
+   * `'repeat'` repeats the value of the spanning cell.
+   */
+  spans?: 'empty' | 'repeat' | null | undefined
+  /**
+   * What to do with columns past the `align` of the table, which are dropped
+   * in HTML (default: `'keep'`);
+   * `'drop'` leaves them out.
+   */
+  extraColumns?: 'drop' | 'keep' | null | undefined
+}
+
+/**
+ * Configuration for `tableToCsv`.
+ */
+export interface ToCsvOptions extends RecordsOptions {
+  /**
+   * Character between fields (default: `','`).
+   */
+  delimiter?: string | null | undefined
+  /**
+   * Character to quote fields with (default: `'"'`);
+   * fields with delimiters, quotes, or line endings are quoted.
+   */
+  quote?: string | null | undefined
+  /**
+   * Line ending between rows (default: `'\n'`).
+   */
+  lineEnding?: string | null | undefined
+}
+
+/**
+ * Delimiters to detect.
+ */
+const delimiters = [',', '\t', ';', '|']
+
+/**
+ * Turn CSV or TSV (RFC 4180) into a table, shaped like tables from
+ * `gfmTableFromMarkdown`.
+ *
+ * Rows are padded with empty cells to the widest row.
+ *
+ * @param {string} value
+ *   CSV.
+ * @param {Readonly<CsvOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Table}
+ *   mdast table.
+ */
+export function tableFromCsv(
+  value: string,
+  options?: Readonly<CsvOptions> | null | undefined
+): Table {
+  const settings = options ?? {}
+  const rows = parseCsv(
+    value,
+    settings.delimiter ?? detectDelimiter(value),
+    settings.quote ?? '"'
+  )
+  const width = Math.max(0, ...rows.map((d) => d.length))
+  const header =
+    settings.header ??
+    !rows[0]?.some(
+      (value, column) => isNumber(value) && isNumberColumn(rows, 1, column)
+    )
+  const start = header && rows.length > 0 ? 1 : 0
+  const align: Array<AlignType> = []
+  let column = -1
+
+  while (++column < width) {
+    align.push(
+      settings.align
+        ? settings.align[column] ?? null
+        : isNumberColumn(rows, start, column)
+        ? 'right'
+        : null
+    )
+  }
+
+  const children: Table['children'] = []
+
+  if (start > 0) {
+    const head: TableHead = {
+      type: 'tableHead',
+      cols: width,
+      children: [toRow(rows[0], align, 'th')],
+      data: {hName: 'thead'}
+    }
+    children.push(head)
+  }
+
+  if (rows.length > start) {
+    const body: TableBody = {
+      type: 'tableBody',
+      cols: width,
+      children: rows.slice(start).map((d) => toRow(d, align, 'td')),
+      data: {hName: 'tbody'}
+    }
+    children.push(body)
+  }
+
+  return {type: 'table', align, children, data: {hName: 'table'}}
+}
+
+/**
+ * Split CSV into rows of fields.
+ *
+ * @param {string} value
+ *   CSV.
+ * @param {string} delimiter
+ *   Character between fields.
+ * @param {string} quote
+ *   Character to quote fields with.
+ * @returns {Array<Array<string>>}
+ *   Rows.
+ */
+function parseCsv(
+  value: string,
+  delimiter: string,
+  quote: string
+): Array<Array<string>> {
+  const rows: Array<Array<string>> = []
+  let row: Array<string> = []
+  let field = ''
+  let quoted = false
+  let index = 0
+
+  while (index < value.length) {
+    const char = value.charAt(index)
+
+    if (quoted) {
+      if (value.startsWith(quote + quote, index)) {
+        field += quote
+        index += quote.length * 2
+        continue
+      }
+
+      if (value.startsWith(quote, index)) {
+        quoted = false
+        index += quote.length
+        continue
+      }
+
+      field += char
+      index++
+      continue
+    }
+
+    if (quote && value.startsWith(quote, index) && field === '') {
+      quoted = true
+      index += quote.length
+    } else if (value.startsWith(delimiter, index)) {
+      row.push(field)
+      field = ''
+      index += delimiter.length
+    } else if (char === '\r' || char === '\n') {
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+      index += char === '\r' && value.charAt(index + 1) === '\n' ? 2 : 1
+    } else {
+      field += char
+      index++
+    }
+  }
+
+  // A final line ending does not start another row.
+  if (field || row.length > 0 || quoted) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+/**
+ * Detect the delimiter of CSV from its first line.
+ *
+ * @param {string} value
+ *   CSV.
+ * @returns {string}
+ *   Delimiter.
+ */
+function detectDelimiter(value: string): string {
+  const line = value.split(/\r?\n|\r/, 1)[0]
+  let result = ','
+  let most = 0
+
+  for (const delimiter of delimiters) {
+    const count = line.split(delimiter).length - 1
+
+    if (count > most) {
+      result = delimiter
+      most = count
+    }
+  }
+
+  return result
+}
+
+/**
+ * Check whether a value is a number.
+ *
+ * @param {string | undefined} value
+ *   Value.
+ * @returns {boolean}
+ *   Whether `value` is a number.
+ */
+function isNumber(value: string | undefined): boolean {
+  return toNumber(value ?? '') !== undefined
+}
+
+/**
+ * Check whether a column has only numbers (or empty fields), and at least
+ * one number, from row `start`.
+ *
+ * @param {Array<Array<string>>} rows
+ *   Rows.
+ * @param {number} start
+ *   First row to check.
+ * @param {number} column
+ *   Column.
+ * @returns {boolean}
+ *   Whether the column is a number column.
+ */
+function isNumberColumn(
+  rows: Array<Array<string>>,
+  start: number,
+  column: number
+): boolean {
+  const values = rows
+    .slice(start)
+    .map((d) => d[column]?.trim() ?? '')
+    .filter(Boolean)
+  return values.length > 0 && values.every((d) => isNumber(d))
+}
+
+/**
+ * Turn fields into a row.
+ *
+ * @param {Array<string>} fields
+ *   Fields.
+ * @param {Array<AlignType>} align
+ *   Alignment of the columns.
+ * @param {'td' | 'th'} name
+ *   Element name of the cells.
+ * @returns {TableRow}
+ *   Row.
+ */
+function toRow(
+  fields: Array<string>,
+  align: Array<AlignType>,
+  name: 'td' | 'th'
+): TableRow {
+  const children = align.map((value, column): TableCell => {
+    const field = fields[column] ?? ''
+    return {
+      type: 'tableCell',
+      children: field ? [{type: 'text', value: field}] : [],
+      data: value ? {hName: name, hProperties: {align: value}} : {hName: name}
+    }
+  })
+
+  return {type: 'tableRow', children, data: {hName: 'tr'}}
+}
+
+/**
+ * Turn a table into CSV, with a line for each row, head rows included.
+ *
+ * @param {Table} table
+ *   mdast table.
+ * @param {Readonly<ToCsvOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {string}
+ *   CSV.
+ */
+export function tableToCsv(
+  table: Table,
+  options?: Readonly<ToCsvOptions> | null | undefined
+): string {
+  const settings = options ?? {}
+  const delimiter = settings.delimiter ?? ','
+  const quote = settings.quote ?? '"'
+
+  return toMatrix(tableToGrid(table).rows, table, settings)
+    .map((row) =>
+      row
+        .map((value) =>
+          value.includes(delimiter) ||
+          (quote && value.includes(quote)) ||
+          /[\r\n]/.test(value)
+            ? quote + value.replaceAll(quote, quote + quote) + quote
+            : value
+        )
+        .join(delimiter)
+    )
+    .join(settings.lineEnding ?? '\n')
+}
+
+/**
+ * Turn the rows of a table into records, keyed by the text of the header
+ * cells above them.
+ *
+ * Rows in the head make the keys, or the first row when there is no head;
+ * keys of several head rows are joined by spaces.
+ * Columns without header text are keyed `column N`, and later columns with
+ * the same key get `_2`, `_3`, and so on.
+ *
+ * @param {Table} table
+ *   mdast table.
+ * @param {Readonly<RecordsOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Array<Record<string, string>>}
+ *   Records, one per row in the body and foot.
+ */
+export function tableToRecords(
+  table: Table,
+  options?: Readonly<RecordsOptions> | null | undefined
+): Array<Record<string, string>> {
+  const settings = options ?? {}
+  const rows = tableToGrid(table).rows
+  let size = rows.findIndex((d) => d.section?.type !== 'tableHead')
+  if (size < 0) size = rows.length
+  if (size === 0) size = Math.min(1, rows.length)
+  const head = toMatrix(rows.slice(0, size), table, {
+    ...settings,
+    spans: 'repeat'
+  })
+  const counts = new Map<string, number>()
+  const keys = (head[0] ?? []).map((_, column) => {
+    const texts = head.map((d) => d[column].trim()).filter(Boolean)
+    const key = [...new Set(texts)].join(' ') || `column ${column + 1}`
+    const count = (counts.get(key) ?? 0) + 1
+    counts.set(key, count)
+    return count > 1 ? `${key}_${count}` : key
+  })
+
+  return toMatrix(rows.slice(size), table, settings).map((row) =>
+    Object.fromEntries(keys.map((key, column) => [key, row[column]]))
+  )
+}
+
+/**
+ * Turn rows of a grid into a matrix of plain text.
+ *
+ * @param {Array<GridRow>} rows
+ *   Rows.
+ * @param {Table} table
+ *   Table of the rows.
+ * @param {Readonly<RecordsOptions>} settings
+ *   Configuration.
+ * @returns {Array<Array<string>>}
+ *   Values.
+ */
+function toMatrix(
+  rows: Array<GridRow>,
+  table: Table,
+  settings: Readonly<RecordsOptions>
+): Array<Array<string>> {
+  return rows.map((row) => {
+    const slots =
+      settings.extraColumns === 'drop' && table.align
+        ? row.cells.slice(0, table.align.length)
+        : row.cells
+    return slots.map((slot) =>
+      slot && (slot.origin || settings.spans === 'repeat')
+        ? cellText(slot.cell)
+        : ''
+    )
+  })
+}
+
+/**
+ * Get the plain text of a cell; blocks are joined by line endings.
+ *
+ * @param {TableCell} cell
+ *   Cell.
+ * @returns {string}
+ *   Text.
+ */
+function cellText(cell: TableCell): string {
+  return hasFlow(cell)
+    ? cell.children.map((d) => toString(d)).join('\n')
+    : toString(cell)
+}
@@ -0,0 +1,866 @@
+import type {AlignType} from 'mdast'
+import {toString} from 'mdast-util-to-string'
+import {type GridRow, emptyCell, gridToTable, tableToGrid} from './grid.js'
+import type {Table, TableBody, TableCell, TableHead, TableRow} from './types.js'
+import {toNumber} from './util.js'
+
+/**
+ * Compare the plain-text values of two cells, like `Array#sort`.
+ *
+ * @param {string} a
+ *   Value of a cell.
+ * @param {string} b
+ *   Value of another cell.
+ * @returns {number}
+ *   Negative if `a` comes first, positive if `b` comes first, `0` otherwise.
+ */
+export type CompareValues = (a: string, b: string) => number
+
+/**
+ * Check whether to keep a row.
+ *
+ * @param {Array<string>} values
+ *   Plain-text values of the row, one per column; slots covered by a
+ *   `colspan` or `rowspan` repeat the value of the spanning cell.
+ * @param {TableRow} row
+ *   Row.
+ * @returns {boolean}
+ *   Whether to keep `row`.
+ */
+export type FilterRow = (values: Array<string>, row: TableRow) => boolean
+
+/**
+ * Configuration for `sortTableRows`.
+ */
+export interface SortOptions {
+  /**
+   * Locales to compare text with (optional);
+   * passed to `Intl.Collator`.
+   */
+  locales?: string | Array<string> | null | undefined
+  /**
+   * Whether to compare numbers by value (default: `true`);
+   * values that are numbers (such as `-1,200.5` or `12%`) are compared as
+   * numbers, and digits in other values are compared numerically.
+   */
+  numeric?: boolean | null | undefined
+  /**
+   * Whether to sort from high to low (default: `false`).
+   */
+  descending?: boolean | null | undefined
+}
+
+/**
+ * Configuration for `mergeTableCells`.
+ */
+export interface MergeOptions {
+  /**
+   * Runs of identical cells to merge (default: `'both'`);
+   * `'vertical'` turns them into a `rowspan`, `'horizontal'` into a
+   * `colspan`, and `'both'` does vertical runs first.
+   */
+  direction?: 'both' | 'horizontal' | 'vertical' | null | undefined
+  /**
+   * Columns to merge cells in (optional);
+   * all columns when not given.
+   */
+  columns?: ReadonlyArray<number> | null | undefined
+}
+
+/**
+ * Insert an empty column in a table.
+ *
+ * Cells spanning over the place of the new column are widened.
+ * If the table has `tableWidths`, the new column gets the average width.
+ *
+ * @param {Table} table
+ *   mdast table, changed in place.
+ * @param {number} index
+ *   Column to insert before; the column count appends.
+ * @param {AlignType | undefined} [align]
+ *   Alignment of the new column.
+ * @returns {Table}
+ *   Given table.
+ */
+export function insertColumn(
+  table: Table,
+  index: number,
+  align?: AlignType | undefined
+): Table {
+  const grid = tableToGrid(table)
+  const column = clamp(index, width(grid.rows, grid.align))
+
+  for (const row of grid.rows) {
+    const before = row.cells[column - 1]
+    const after = row.cells[column]
+
+    row.cells.splice(
+      column,
+      0,
+      before && after && before.cell === after.cell
+        ? before
+        : {
+            cell: emptyCell(undefined, row.section, align),
+            origin: true,
+            row: 0,
+            column: 0
+          }
+    )
+  }
+
+  if (grid.align) {
+    grid.align = grid.align.slice()
+    grid.align.splice(column, 0, align ?? null)
+  }
+
+  const widths = table.data?.tableWidths
+
+  if (widths) {
+    const copy = widths.slice()
+    copy.splice(column, 0, copy.reduce((a, b) => a + b, 0) / copy.length)
+    setWidths(table, copy)
+  }
+
+  return gridToTable(grid)
+}
+
+/**
+ * Remove a column from a table.
+ *
+ * Cells spanning over the column are narrowed; cells only in the column are
+ * removed.
+ * Cells that started in the column take the alignment of the column they now
+ * start in.
+ * If the table has `tableWidths`, the other columns share the width of the
+ * removed one.
+ *
+ * @param {Table} table
+ *   mdast table, changed in place.
+ * @param {number} index
+ *   Column to remove.
+ * @returns {Table}
+ *   Given table.
+ */
+export function removeColumn(table: Table, index: number): Table {
+  const grid = tableToGrid(table)
+  if (index < 0 || index >= width(grid.rows, grid.align)) return table
+
+  const moved = new Set<TableCell>()
+
+  for (const row of grid.rows) {
+    const slot = row.cells[index]
+    if (slot?.origin && row.cells[index + 1]?.cell === slot.cell) {
+      moved.add(slot.cell)
+    }
+
+    row.cells.splice(index, 1)
+  }
+
+  if (grid.align) {
+    grid.align = grid.align.slice()
+    grid.align.splice(index, 1)
+  }
+
+  for (const cell of moved) {
+    setAlign(cell, grid.align?.[index])
+  }
+
+  const widths = table.data?.tableWidths
+
+  if (widths) {
+    const copy = widths.slice()
+    copy.splice(index, 1)
+    setWidths(table, copy)
+  }
+
+  return gridToTable(grid)
+}
+
+/**
+ * Move a column in a table, with its alignment and width.
+ *
+ * Cells spanning over the column keep their content in their first column;
+ * the slots left behind elsewhere become empty cells.
+ *
+ * @param {Table} table
+ *   mdast table, changed in place.
+ * @param {number} from
+ *   Column to move.
+ * @param {number} to
+ *   Place of the column after moving it.
+ * @returns {Table}
+ *   Given table.
+ */
+export function moveColumn(table: Table, from: number, to: number): Table {
+  const grid = tableToGrid(table)
+  const size = width(grid.rows, grid.align)
+  if (from < 0 || from >= size || from === to) return table
+  const column = clamp(to, size - 1)
+
+  for (const row of grid.rows) {
+    row.cells.splice(column, 0, ...row.cells.splice(from, 1))
+  }
+
+  if (grid.align) {
+    grid.align = grid.align.slice()
+    grid.align.splice(column, 0, ...grid.align.splice(from, 1))
+  }
+
+  const widths = table.data?.tableWidths
+
+  if (widths) {
+    const copy = widths.slice()
+    copy.splice(column, 0, ...copy.splice(from, 1))
+    setWidths(table, copy)
+  }
+
+  return gridToTable(grid)
+}
+
+/**
+ * Insert an empty row in a table.
+ *
+ * The row is added to the section of the row it is inserted before, or of the
+ * last row when appending.
+ * Cells spanning over the place of the new row are heightened.
+ *
+ * @param {Table} table
+ *   mdast table, changed in place.
+ * @param {number} index
+ *   Row to insert before, counting the rows of all sections; the row count
+ *   appends.
+ * @returns {Table}
+ *   Given table.
+ */
+export function insertRow(table: Table, index: number): Table {
+  const grid = tableToGrid(table)
+  const rowIndex = clamp(index, grid.rows.length)
+  const before = grid.rows[rowIndex - 1]
+  const after = grid.rows[rowIndex]
+  const section = (after ?? before)?.section
+  const row: TableRow = {type: 'tableRow', children: [], data: {hName: 'tr'}}
+  const result: GridRow = {section, row, cells: []}
+  let columnIndex = -1
+
+  while (++columnIndex < width(grid.rows, grid.align)) {
+    const above = before?.cells[columnIndex]
+    const below = after?.cells[columnIndex]
+
+    result.cells[columnIndex] =
+      above &&
+      below &&
+      above.cell === below.cell &&
+      before.section === after.section
+        ? above
+        : {
+            cell: emptyCell(undefined, section, grid.align?.[columnIndex]),
+            origin: true,
+            row: 0,
+            column: 0
+          }
+  }
+
+  grid.rows.splice(rowIndex, 0, result)
+  return gridToTable(grid)
+}
+
+/**
+ * Remove a row from a table.
+ *
+ * Cells spanning over the row are shortened, and sections left without rows
+ * are removed.
+ * The only row of a head is not removed, as tables without a head cannot be
+ * written as pipe tables.
+ *
+ * @param {Table} table
+ *   mdast table, changed in place.
+ * @param {number} index
+ *   Row to remove, counting the rows of all sections.
+ * @returns {Table}
+ *   Given table.
+ */
+export function removeRow(table: Table, index: number): Table {
+  const grid = tableToGrid(table)
+  const row = grid.rows[index]
+  if (!row) return table
+
+  if (
+    row.section?.type === 'tableHead' &&
+    grid.rows.every((d) => d === row || d.section !== row.section)
+  ) {
+    return table
+  }
+
+  grid.rows.splice(index, 1)
+  return gridToTable(grid)
+}
+
+/**
+ * Sort the rows in the bodies of a table by the plain-text value of their
+ * cells in a column.
+ *
+ * The head and foot are left alone, and each body is sorted on its own.
+ * Rows joined by a `rowspan` are kept together, sorted by the value of their
+ * first row.
+ * The sort is stable.
+ *
+ * @param {Table} table
+ *   mdast table, changed in place.
+ * @param {number} column
+ *   Column to sort by.
+ * @param {CompareValues | Readonly<SortOptions> | null | undefined} [compare]
+ *   Compare values, or configuration (optional).
+ * @returns {Table}
+ *   Given table.
+ */
+export function sortTableRows(
+  table: Table,
+  column: number,
+  compare?: CompareValues | Readonly<SortOptions> | null | undefined
+): Table {
+  const grid = tableToGrid(table)
+  if (column < 0 || column >= width(grid.rows, grid.align)) return table
+  const order =
+    typeof compare === 'function' ? compare : createCompare(compare ?? {})
+  const rows: Array<GridRow> = []
+  let index = 0
+
+  while (index < grid.rows.length) {
+    const section = grid.rows[index].section
+    let end = index + 1
+
+    while (end < grid.rows.length && grid.rows[end].section === section) end++
+
+    const group = grid.rows.slice(index, end)
+
+    if (section?.type === 'tableBody') {
+      rows.push(
+        ...spanGroups(group)
+          .map((rows) => ({rows, value: valueOf(rows[0], column)}))
+          .sort((a, b) => order(a.value, b.value))
+          .flatMap((d) => d.rows)
+      )
+    } else {
+      rows.push(...group)
+    }
+
+    index = end
+  }
+
+  grid.rows = rows
+  return gridToTable(grid)
+}
+
+/**
+ * Remove the rows in the bodies of a table that do not pass a test.
+ *
+ * The head and foot are left alone.
+ * Cells spanning over removed rows are shortened, and sections left without
+ * rows are removed.
+ *
+ * @param {Table} table
+ *   mdast table, changed in place.
+ * @param {FilterRow} predicate
+ *   Check whether to keep a row.
+ * @returns {Table}
+ *   Given table.
+ */
+export function filterTableRows(table: Table, predicate: FilterRow): Table {
+  const grid = tableToGrid(table)
+
+  grid.rows = grid.rows.filter(
+    (row) =>
+      row.section?.type !== 'tableBody' ||
+      predicate(
+        row.cells.map((slot) => (slot ? toString(slot.cell) : '')),
+        row.row
+      )
+  )
+
+  return gridToTable(grid)
+}
+
+/**
+ * Swap the rows and columns of a table.
+ *
+ * A `colspan` becomes a `rowspan` and the other way around.
+ * The first column becomes a head row, of header cells, and the rows of the
+ * old head become row-header columns; the other rows, of all sections, become
+ * one body.
+ * Spans crossing from the head into the body are cut off at the head.
+ * The alignment of a column is the alignment shared by its cells in the body,
+ * if any.
+ * `tableWidths` are dropped, as rows have no widths.
+ *
+ * @param {Table} table
+ *   mdast table, changed in place.
+ * @returns {Table}
+ *   Given table.
+ */
+export function transposeTable(table: Table): Table {
+  const grid = tableToGrid(table)
+  const size = width(grid.rows, grid.align)
+  if (grid.rows.length === 0) return table
+  const head: TableHead = {
+    type: 'tableHead',
+    cols: 0,
+    children: [],
+    data: {hName: 'thead'}
+  }
+  const body: TableBody = {
+    type: 'tableBody',
+    cols: 0,
+    children: [],
+    data: {hName: 'tbody'}
+  }
+  const cells = new Set<TableCell>()
+  const rows = Array.from({length: size}, function (_, column): GridRow {
+    return {
+      section: column === 0 ? head : body,
+      row: {type: 'tableRow', children: [], data: {hName: 'tr'}},
+      cells: grid.rows.map(function (row) {
+        const slot = row.cells[column]
+        if (!slot) return
+        cells.add(slot.cell)
+        return {
+          cell: slot.cell,
+          origin: slot.origin,
+          row: slot.column,
+          column: slot.row
+        }
+      })
+    }
+  })
+
+  for (const cell of cells) {
+    const properties = cell.data?.hProperties
+    const scope = properties?.scope
+
+    if (properties && typeof scope === 'string') {
+      properties.scope = swapScope(scope)
+    }
+  }
+
+  for (const slot of rows[0]?.cells ?? []) {
+    if (slot) slot.cell.data = {...slot.cell.data, hName: 'th'}
+  }
+
+  // Columns of the new table are the rows of the old one.
+  const align = (rows[0]?.cells ?? []).map((_, index) =>
+    shared(rows.slice(1), index)
+  )
+
+  // Cells take the alignment of the column they now start in.
+  for (const row of rows) {
+    for (const [column, slot] of row.cells.entries()) {
+      if (slot?.origin) setAlign(slot.cell, align[column])
+    }
+  }
+
+  grid.rows = rows
+  grid.align = align
+  setWidths(table, undefined)
+  return gridToTable(grid)
+}
+
+/**
+ * Swap the scope of a header cell between rows and columns.
+ *
+ * @param {string} scope
+ *   Scope.
+ * @returns {string}
+ *   Swapped scope, or `scope` if it is not about rows or columns.
+ */
+function swapScope(scope: string): string {
+  switch (scope) {
+    case 'col': {
+      return 'row'
+    }
+
+    case 'colgroup': {
+      return 'rowgroup'
+    }
+
+    case 'row': {
+      return 'col'
+    }
+
+    case 'rowgroup': {
+      return 'colgroup'
+    }
+
+    default: {
+      return scope
+    }
+  }
+}
+
+/**
+ * Merge runs of identical adjacent cells into cells spanning several rows or
+ * columns, like the `^`, `<`, and `>` markers do.
+ *
+ * Cells are identical when they have the same element name and content;
+ * empty cells are not merged.
+ * Cells are merged within a section, and only when the result is a rectangle:
+ * a `rowspan` needs cells of the same width, a `colspan` cells of the same
+ * height.
+ * The first cell of a run is kept, the others are removed.
+ *
+ * @param {Table} table
+ *   mdast table, changed in place.
+ * @param {Readonly<MergeOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {Table}
+ *   Given table.
+ */
+export function mergeTableCells(
+  table: Table,
+  options?: Readonly<MergeOptions> | null | undefined
+): Table {
+  const settings = options ?? {}
+  const direction = settings.direction ?? 'both'
+  const grid = tableToGrid(table)
+  const columns = settings.columns ? new Set(settings.columns) : undefined
+
+  if (direction !== 'horizontal') {
+    merge(grid.rows, columns, true)
+  }
+
+  if (direction !== 'vertical') {
+    merge(grid.rows, columns, false)
+  }
+
+  return gridToTable(grid)
+}
+
+/**
+ * Split cells spanning several rows or columns, copying the spanning cell
+ * into every slot it covers;
+ * the inverse of `mergeTableCells`.
+ *
+ * @param {Table} table
+ *   mdast table, changed in place.
+ * @returns {Table}
+ *   Given table.
+ */
+export function unmergeTableCells(table: Table): Table {
+  const grid = tableToGrid(table)
+
+  for (const row of grid.rows) {
+    row.cells = row.cells.map(function (slot) {
+      if (!slot || slot.origin) return slot
+      const cell = structuredClone(slot.cell)
+      Reflect.deleteProperty(cell, 'position')
+      return {cell, origin: true, row: 0, column: 0}
+    })
+  }
+
+  return gridToTable(grid)
+}
+
+/**
+ * Merge runs of identical cells in a grid, in one direction.
+ *
+ * @param {Array<GridRow>} rows
+ *   Rows.
+ * @param {Set<number> | undefined} columns
+ *   Columns to merge cells in, if not all.
+ * @param {boolean} vertical
+ *   Whether to merge cells below each other, or next to each other.
+ * @returns {undefined}
+ *   Nothing.
+ */
+function merge(
+  rows: Array<GridRow>,
+  columns: Set<number> | undefined,
+  vertical: boolean
+): undefined {
+  let rowIndex = -1
+
+  while (++rowIndex < rows.length) {
+    const row = rows[rowIndex]
+    let columnIndex = -1
+
+    while (++columnIndex < row.cells.length) {
+      const slot = row.cells[columnIndex]
+      const before = vertical
+        ? rows[rowIndex - 1]?.cells[columnIndex]
+        : row.cells[columnIndex - 1]
+
+      if (
+        !slot?.origin ||
+        !before ||
+        before.cell === slot.cell ||
+        (vertical ? before.column : before.row) !== 0 ||
+        (vertical && rows[rowIndex - 1].section !== row.section)
+      ) {
+        continue
+      }
+
+      const start = vertical ? columnIndex : columnIndex - before.column - 1
+      const end = columnIndex + extent(rows, rowIndex, columnIndex, false)
+
+      if (
+        // Spans make rectangles: cells below each other need the same width,
+        // cells next to each other the same height.
+        extent(rows, rowIndex, columnIndex, !vertical) !==
+          extent(
+            rows,
+            vertical ? rowIndex - 1 : rowIndex,
+            vertical ? columnIndex : columnIndex - 1,
+            !vertical
+          ) ||
+        !identical(before.cell, slot.cell) ||
+        (columns &&
+          !Array.from({length: end - start}, (_, x) => start + x).every((d) =>
+            columns.has(d)
+          ))
+      ) {
+        continue
+      }
+
+      const cell = slot.cell
+      const rowOffset = vertical ? before.row + 1 : 0
+      const columnOffset = vertical ? 0 : before.column + 1
+
+      for (const other of rows) {
+        other.cells = other.cells.map((d) =>
+          d?.cell === cell
+            ? {
+                cell: before.cell,
+                origin: false,
+                row: d.row + rowOffset,
+                column: d.column + columnOffset
+              }
+            : d
+        )
+      }
+    }
+  }
+}
+
+/**
+ * Get the number of slots of a cell, from a slot, down or to the right.
+ *
+ * @param {Array<GridRow>} rows
+ *   Rows.
+ * @param {number} rowIndex
+ *   Row of the slot.
+ * @param {number} columnIndex
+ *   Column of the slot.
+ * @param {boolean} down
+ *   Whether to count rows, or columns.
+ * @returns {number}
+ *   Number of slots.
+ */
+function extent(
+  rows: Array<GridRow>,
+  rowIndex: number,
+  columnIndex: number,
+  down: boolean
+): number {
+  const cell = rows[rowIndex].cells[columnIndex]?.cell
+  let size = 1
+
+  while (
+    (down
+      ? rows[rowIndex + size]?.cells[columnIndex]
+      : rows[rowIndex].cells[columnIndex + size]
+    )?.cell === cell
+  ) {
+    size++
+  }
+
+  return size
+}
+
+/**
+ * Check whether two cells have the same element name and content, and are not
+ * empty.
+ *
+ * @param {TableCell} a
+ *   Cell.
+ * @param {TableCell} b
+ *   Other cell.
+ * @returns {boolean}
+ *   Whether `a` and `b` are identical.
+ */
+function identical(a: TableCell, b: TableCell): boolean {
+  return (
+    a.children.length > 0 &&
+    a.data?.hName === b.data?.hName &&
+    content(a) === content(b)
+  )
+}
+
+/**
+ * Serialize the content of a cell, without positional info.
+ *
+ * @param {TableCell} cell
+ *   Cell.
+ * @returns {string}
+ *   Content.
+ */
+function content(cell: TableCell): string {
+  return JSON.stringify(cell.children, (key, value: unknown) =>
+    key === 'position' ? undefined : value
+  )
+}
+
+/**
+ * Set the alignment of a cell in its `hProperties`.
+ *
+ * @param {TableCell} cell
+ *   Cell.
+ * @param {AlignType | undefined} align
+ *   Alignment.
+ * @returns {undefined}
+ *   Nothing.
+ */
+function setAlign(cell: TableCell, align: AlignType | undefined): undefined {
+  const properties = cell.data?.hProperties
+
+  if (align) {
+    cell.data = {...cell.data, hProperties: {...properties, align}}
+  } else if (properties) {
+    Reflect.deleteProperty(properties, 'align')
+  }
+}
+
+/**
+ * Set the relative widths of the columns of a table, scaled to add up to `1`,
+ * or remove them.
+ *
+ * @param {Table} table
+ *   Table.
+ * @param {Array<number> | undefined} widths
+ *   Widths.
+ * @returns {undefined}
+ *   Nothing.
+ */
+function setWidths(table: Table, widths: Array<number> | undefined): undefined {
+  const total = widths ? widths.reduce((a, b) => a + b, 0) : 0
+
+  if (widths && total > 0) {
+    table.data = {...table.data, tableWidths: widths.map((d) => d / total)}
+  } else if (table.data) {
+    Reflect.deleteProperty(table.data, 'tableWidths')
+  }
+}
+
+/**
+ * Get the alignment shared by the cells in a column.
+ *
+ * @param {Array<GridRow>} rows
+ *   Rows.
+ * @param {number} column
+ *   Column.
+ * @returns {AlignType}
+ *   Alignment, if all cells in `column` have the same one.
+ */
+function shared(rows: Array<GridRow>, column: number): AlignType {
+  const values = new Set(
+    rows.map((row) => {
+      const value = row.cells[column]?.cell.data?.hProperties?.align
+      return value === 'center' || value === 'left' || value === 'right'
+        ? value
+        : null
+    })
+  )
+
+  return values.size === 1 ? [...values][0] : null
+}
+
+/**
+ * Create a function to compare values with.
+ *
+ * @param {Readonly<SortOptions>} options
+ *   Configuration.
+ * @returns {CompareValues}
+ *   Compare values.
+ */
+function createCompare(options: Readonly<SortOptions>): CompareValues {
+  const numeric = options.numeric ?? true
+  const direction = options.descending ? -1 : 1
+  const collator = new Intl.Collator(options.locales ?? undefined, {numeric})
+
+  return function (a, b) {
+    const left = numeric ? toNumber(a) : undefined
+    const right = numeric ? toNumber(b) : undefined
+    const result =
+      left === undefined || right === undefined
+        ? collator.compare(a, b)
+        : left - right
+    return result * direction
+  }
+}
+
+/**
+ * Split rows into groups of rows joined by a `rowspan`.
+ *
+ * @param {Array<GridRow>} rows
+ *   Rows of a section.
+ * @returns {Array<Array<GridRow>>}
+ *   Groups.
+ */
+function spanGroups(rows: Array<GridRow>): Array<Array<GridRow>> {
+  const groups: Array<Array<GridRow>> = []
+
+  for (const row of rows) {
+    const last = groups.at(-1)
+
+    if (last && row.cells.some((slot) => slot && slot.row > 0)) {
+      last.push(row)
+    } else {
+      groups.push([row])
+    }
+  }
+
+  return groups
+}
+
+/**
+ * Get the plain-text value of the cell in a column of a row.
+ *
+ * @param {GridRow} row
+ *   Row.
+ * @param {number} column
+ *   Column.
+ * @returns {string}
+ *   Value.
+ */
+function valueOf(row: GridRow, column: number): string {
+  const slot = row.cells[column]
+  return slot ? toString(slot.cell) : ''
+}
+
+/**
+ * Get the number of columns in a grid.
+ *
+ * @param {Array<GridRow>} rows
+ *   Rows.
+ * @param {Array<AlignType> | null | undefined} align
+ *   Alignment of the columns.
+ * @returns {number}
+ *   Number of columns.
+ */
+function width(
+  rows: Array<GridRow>,
+  align: Array<AlignType> | null | undefined
+): number {
+  return rows.length > 0 ? rows[0].cells.length : align ? align.length : 0
+}
+
+/**
+ * Clamp `value` between `0` and `max`.
+ *
+ * @param {number} value
+ *   Value.
+ * @param {number} max
+ *   Maximum.
+ * @returns {number}
+ *   Clamped value.
+ */
+function clamp(value: number, max: number): number {
+  return Math.max(0, Math.min(value, max))
+}
@@ -0,0 +1,552 @@
+import {toString} from 'mdast-util-to-string'
+import {tableToGrid} from './grid.js'
+import type {Table, TableCell, WarningRule} from './types.js'
+import {hasFlow, toNumber} from './util.js'
+
+/**
+ * Report a formula that cannot be computed.
+ *
+ * @param {string} reason
+ *   Human readable description of the problem.
+ * @param {TableCell} cell
+ *   Cell with the formula.
+ * @param {WarningRule} ruleId
+ *   Identifier of the problem.
+ * @returns {undefined}
+ *   Nothing.
+ */
+export type OnFormulaError = (
+  reason: string,
+  cell: TableCell,
+  ruleId: WarningRule
+) => undefined
+
+/**
+ * Start of a formula: `=` followed by a value.
+ */
+const formulaExpression = /^=\s*[\w(.-]/
+
+/**
+ * Token in a formula: a number, a reference or range (`B2`, `B2:B9`), a name
+ * (`SUM`, `above`), or punctuation.
+ */
+const tokenExpression =
+  /\s*(?:(\d+(?:\.\d+)?(?:e[-+]?\d+)?|\.\d+(?:e[-+]?\d+)?)|([a-z]+\d+)(?::([a-z]+\d+))?|([a-z]+)|([-+*/(),]))/iy
+
+/**
+ * Letters of columns.
+ */
+const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+
+/**
+ * Functions, by name, turning the numbers they are given into a number.
+ */
+const functions: Record<string, (values: Array<number>) => number> = {
+  average,
+  avg: average,
+  count: (values) => values.length,
+  max: (values) => (values.length > 0 ? Math.max(...values) : 0),
+  min: (values) => (values.length > 0 ? Math.min(...values) : 0),
+  sum: (values) => values.reduce((a, b) => a + b, 0)
+}
+
+/**
+ * Problem computing a formula.
+ */
+class FormulaError extends Error {
+  /**
+   * Identifier of the problem.
+   */
+  ruleId: WarningRule
+
+  /**
+   * @param {string} reason
+   *   Human readable description of the problem.
+   * @param {WarningRule} [ruleId]
+   *   Identifier of the problem.
+   */
+  constructor(reason: string, ruleId: WarningRule = 'invalid-formula') {
+    super(reason)
+    this.ruleId = ruleId
+  }
+}
+
+/**
+ * Place of a cell in the grid of a table.
+ */
+interface Place {
+  /**
+   * First row of the cell.
+   */
+  row: number
+  /**
+   * First column of the cell.
+   */
+  column: number
+}
+
+/**
+ * Compute the formulas in the cells of a table, such as `=SUM(above)` or
+ * `=AVG(B2:B9) * 2`.
+ *
+ * Cells are referenced by column letter and row number, counting all rows
+ * from `1`, head rows included; `above`, `below`, `left`, and `right` stand
+ * for the other cells in the column or row, not counting head rows.
+ * Functions (`SUM`, `AVG` or `AVERAGE`, `MIN`, `MAX`, and `COUNT`) skip
+ * cells in ranges and directions that are not numbers, reporting those that
+ * are not empty; a single reference to a cell that is not a number is an
+ * error.
+ *
+ * The content of a computed cell is replaced by the value, and the formula is
+ * stored as `tableFormula` in its `data`; cells whose formula cannot be
+ * computed are left alone.
+ *
+ * @param {Table} table
+ *   mdast table, changed in place.
+ * @param {OnFormulaError} onError
+ *   Report a formula that cannot be computed.
+ * @returns {undefined}
+ *   Nothing.
+ */
+export function computeFormulas(
+  table: Table,
+  onError: OnFormulaError
+): undefined {
+  const rows = tableToGrid(table).rows
+  const places = new Map<TableCell, Place>()
+  const formulas = new Map<TableCell, string>()
+  const values = new Map<TableCell, number>()
+  const failed = new Map<TableCell, FormulaError>()
+  const skipped = new Map<TableCell, Array<string>>()
+  const pending = new Set<TableCell>()
+
+  for (const [rowIndex, row] of rows.entries()) {
+    for (const [columnIndex, slot] of row.cells.entries()) {
+      if (!slot?.origin) continue
+      places.set(slot.cell, {row: rowIndex, column: columnIndex})
+      const value = toString(slot.cell).trim()
+
+      if (!hasFlow(slot.cell) && formulaExpression.test(value)) {
+        formulas.set(slot.cell, value)
+      }
+    }
+  }
+
+  for (const [cell, formula] of formulas) {
+    let value: number | undefined
+
+    try {
+      value = valueOf(cell)
+    } catch (error) {
+      if (!(error instanceof FormulaError)) throw error
+    }
+
+    const error = failed.get(cell)
+
+    for (const reason of skipped.get(cell) ?? []) {
+      onError(reason, cell, 'skipped-cell')
+    }
+
+    if (error) {
+      onError(error.message, cell, error.ruleId)
+    } else if (value !== undefined) {
+      cell.children = [{type: 'text', value: format(value)}]
+      cell.data = {...cell.data, tableFormula: formula}
+    }
+  }
+
+  /**
+   * Get the number in a cell, computing its formula if needed.
+   *
+   * @param {TableCell} cell
+   *   Cell.
+   * @returns {number | undefined}
+   *   Number, if any.
+   */
+  function valueOf(cell: TableCell): number | undefined {
+    const formula = formulas.get(cell)
+    const place = places.get(cell)
+    if (formula === undefined || !place) return toNumber(toString(cell))
+    if (values.has(cell)) return values.get(cell)
+    const error = failed.get(cell)
+
+    if (error) {
+      throw new FormulaError(
+        '`' + label(place) + '` cannot be computed',
+        error.ruleId
+      )
+    }
+
+    if (pending.has(cell)) {
+      throw new FormulaError(
+        'circular reference to `' + label(place) + '`',
+        'circular-formula'
+      )
+    }
+
+    pending.add(cell)
+    skipped.delete(cell)
+
+    try {
+      const value = evaluate(formula, place)
+      values.set(cell, value)
+      return value
+    } catch (error) {
+      if (!(error instanceof FormulaError)) throw error
+      failed.set(
+        cell,
+        new FormulaError(
+          'Cannot compute `' +
+            formula +
+            '` in `' +
+            label(place) +
+            '`: ' +
+            error.message,
+          error.ruleId
+        )
+      )
+      // Formulas using this cell cannot be computed either.
+      throw new FormulaError(
+        '`' + label(place) + '` cannot be computed',
+        error.ruleId
+      )
+    } finally {
+      pending.delete(cell)
+    }
+  }
+
+  /**
+   * Evaluate a formula.
+   *
+   * @param {string} formula
+   *   Formula.
+   * @param {Place} place
+   *   Place of the cell with the formula.
+   * @returns {number}
+   *   Value.
+   */
+  function evaluate(formula: string, place: Place): number {
+    const tokens = tokenize(formula.slice(1))
+    let index = 0
+    const value = expression()
+
+    if (index < tokens.length) {
+      throw new FormulaError('unexpected `' + tokens[index] + '`')
+    }
+
+    if (!Number.isFinite(value)) {
+      throw new FormulaError('the result is not a finite number')
+    }
+
+    return value
+
+    function expression(): number {
+      let value = term()
+
+      while (tokens[index] === '+' || tokens[index] === '-') {
+        const operator = tokens[index++]
+        const other = term()
+        value = operator === '+' ? value + other : value - other
+      }
+
+      return value
+    }
+
+    function term(): number {
+      let value = factor()
+
+      while (tokens[index] === '*' || tokens[index] === '/') {
+        const operator = tokens[index++]
+        const other = factor()
+        value = operator === '*' ? value * other : value / other
+      }
+
+      return value
+    }
+
+    function factor(): number {
+      const token = tokens[index++]
+      if (token === undefined) throw new FormulaError('unexpected end')
+      if (token === '-') return -factor()
+      if (token === '+') return factor()
+
+      if (token === '(') {
+        const value = expression()
+        expect(')')
+        return value
+      }
+
+      if (/^[\d.]/.test(token)) return Number(token)
+
+      const name = token.toLowerCase()
+
+      if (tokens[index] === '(' && Object.hasOwn(functions, name)) {
+        index++
+        const numbers = [...argument()]
+
+        while (tokens[index] === ',') {
+          index++
+          numbers.push(...argument())
+        }
+
+        expect(')')
+        return functions[name](numbers)
+      }
+
+      if (!/^[a-z]+\d+$/i.test(token)) {
+        throw new FormulaError('unexpected `' + token + '`')
+      }
+
+      const target = at(reference(token))
+      const value = target ? valueOf(target) : undefined
+
+      if (value === undefined) {
+        if (target && toString(target).trim()) {
+          throw new FormulaError('`' + token + '` is not a number')
+        }
+
+        return 0
+      }
+
+      return value
+    }
+
+    function argument(): Array<number> {
+      const token = tokens[index] ?? ''
+      const direction = token.toLowerCase()
+
+      if (/^(?:above|below|left|right)$/.test(direction)) {
+        index++
+        return numbers(around(direction), formula, place)
+      }
+
+      if (token.includes(':')) {
+        index++
+        const [start, end] = token.split(':').map((d) => reference(d))
+        return numbers(range(start, end), formula, place)
+      }
+
+      return [expression()]
+    }
+
+    function around(direction: string): Array<TableCell> {
+      const row = rows[place.row]
+      const cell = row.cells[place.column]?.cell
+
+      if (direction === 'left' || direction === 'right') {
+        const slots =
+          direction === 'left'
+            ? row.cells.slice(0, place.column)
+            : row.cells.slice(place.column + 1)
+        return slots.flatMap((d) => (d && d.cell !== cell ? [d.cell] : []))
+      }
+
+      return rows.flatMap(function (row, rowIndex) {
+        const slot = row.cells[place.column]
+        return slot &&
+          slot.cell !== cell &&
+          row.section?.type !== 'tableHead' &&
+          (direction === 'above' ? rowIndex < place.row : rowIndex > place.row)
+          ? [slot.cell]
+          : []
+      })
+    }
+
+    function expect(token: string): undefined {
+      if (tokens[index] !== token) {
+        throw new FormulaError(
+          'expected `' +
+            token +
+            '`' +
+            (index < tokens.length ? ', not `' + tokens[index] + '`' : '')
+        )
+      }
+
+      index++
+    }
+  }
+
+  /**
+   * Get the numbers in cells, each cell once, skipping cells that are not
+   * numbers and noting those that are not empty.
+   *
+   * @param {Array<TableCell>} cells
+   *   Cells.
+   * @param {string} formula
+   *   Formula using the cells.
+   * @param {Place} place
+   *   Place of the cell with the formula.
+   * @returns {Array<number>}
+   *   Numbers.
+   */
+  function numbers(
+    cells: Array<TableCell>,
+    formula: string,
+    place: Place
+  ): Array<number> {
+    const result: Array<number> = []
+    const formulaCell = rows[place.row].cells[place.column]?.cell
+
+    for (const cell of new Set(cells)) {
+      const value = valueOf(cell)
+      const cellPlace = places.get(cell)
+
+      if (value !== undefined) {
+        result.push(value)
+      } else if (formulaCell && cellPlace && toString(cell).trim()) {
+        const reasons = skipped.get(formulaCell) ?? []
+        reasons.push(
+          'Skipped `' +
+            label(cellPlace) +
+            '` in `' +
+            formula +
+            '` in `' +
+            label(place) +
+            '`: not a number'
+        )
+        skipped.set(formulaCell, reasons)
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Get the cell at a place.
+   *
+   * @param {Place} place
+   *   Place.
+   * @returns {TableCell | undefined}
+   *   Cell, if any.
+   */
+  function at(place: Place): TableCell | undefined {
+    const row = rows[place.row]
+
+    if (!row || place.column >= row.cells.length) {
+      throw new FormulaError('reference outside of the table')
+    }
+
+    return row.cells[place.column]?.cell
+  }
+
+  /**
+   * Get the cells in a range.
+   *
+   * @param {Place} start
+   *   A corner.
+   * @param {Place} end
+   *   The opposite corner.
+   * @returns {Array<TableCell>}
+   *   Cells.
+   */
+  function range(start: Place, end: Place): Array<TableCell> {
+    const cells: Array<TableCell> = []
+    let row = Math.min(start.row, end.row) - 1
+
+    at(start)
+    at(end)
+
+    while (++row <= Math.max(start.row, end.row)) {
+      let column = Math.min(start.column, end.column) - 1
+
+      while (++column <= Math.max(start.column, end.column)) {
+        const cell = at({row, column})
+        if (cell) cells.push(cell)
+      }
+    }
+
+    return cells
+  }
+}
+
+/**
+ * Split a formula into tokens.
+ *
+ * @param {string} source
+ *   Formula, without `=`.
+ * @returns {Array<string>}
+ *   Tokens; ranges are one token.
+ */
+function tokenize(source: string): Array<string> {
+  const tokens: Array<string> = []
+  tokenExpression.lastIndex = 0
+
+  while (source.slice(tokenExpression.lastIndex).trim()) {
+    const start = tokenExpression.lastIndex
+    const match = tokenExpression.exec(source)
+
+    if (!match) {
+      throw new FormulaError('unexpected `' + source.slice(start).trim() + '`')
+    }
+
+    tokens.push(match[3] ? match[2] + ':' + match[3] : match[0].trim())
+  }
+
+  return tokens
+}
+
+/**
+ * Turn a reference (`B2`) into a place.
+ *
+ * @param {string} value
+ *   Reference.
+ * @returns {Place}
+ *   Place.
+ */
+function reference(value: string): Place {
+  const match = /^([a-z]+)(\d+)$/i.exec(value)
+  if (!match) throw new FormulaError('unexpected `' + value + '`')
+  let column = 0
+
+  for (const char of match[1].toUpperCase()) {
+    column = column * 26 + letters.indexOf(char) + 1
+  }
+
+  return {row: Number(match[2]) - 1, column: column - 1}
+}
+
+/**
+ * Turn a place into a reference (`B2`).
+ *
+ * @param {Place} place
+ *   Place.
+ * @returns {string}
+ *   Reference.
+ */
+function label(place: Place): string {
+  let result = ''
+  let column = place.column + 1
+
+  while (column > 0) {
+    const rest = (column - 1) % 26
+    result = letters.charAt(rest) + result
+    column = (column - rest - 1) / 26
+  }
+
+  return result + String(place.row + 1)
+}
+
+/**
+ * Get the average of numbers.
+ *
+ * @param {Array<number>} values
+ *   Numbers.
+ * @returns {number}
+ *   Average.
+ */
+function average(values: Array<number>): number {
+  if (values.length === 0) throw new FormulaError('no numbers to average')
+  return values.reduce((a, b) => a + b, 0) / values.length
+}
+
+/**
+ * Format a computed number, without floating point noise.
+ *
+ * @param {number} value
+ *   Number.
+ * @returns {string}
+ *   Text.
+ */
+function format(value: number): string {
+  return String(Number(value.toPrecision(12)))
+}
@@ -0,0 +1,394 @@
+import type {Element} from 'hast'
+import type {Handle, State} from 'hast-util-to-mdast'
+import type {AlignType} from 'mdast'
+import {toString} from 'mdast-util-to-string'
+import {
+  type GridRow,
+  type TableSection,
+  emptyCell,
+  span,
+  tableToGrid
+} from './grid.js'
+import type {
+  Table,
+  TableBody,
+  TableCaption,
+  TableCell,
+  TableRow
+} from './types.js'
+
+/**
+ * Alignment in a `style` attribute.
+ */
+const textAlignExpression = /(?:^|;)\s*text-align\s*:\s*(center|left|right)\b/i
+
+/**
+ * Turn an hast `table` element into mdast.
+ *
+ * Rows outside of sections are put in a body, and a first row of only header
+ * cells in a table without a head is put in a head.
+ * Rows are padded with empty cells to the widest row, and the alignment of
+ * a column is that of its first aligned cell.
+ *
+ * @param {State} state
+ *   Info passed around.
+ * @param {Element} node
+ *   hast element.
+ * @returns {Table}
+ *   mdast node.
+ */
+function table(state: State, node: Element): Table {
+  const children: Table['children'] = []
+  let bare: TableBody | undefined
+
+  for (const child of state.all(node)) {
+    if (child.type === 'tableRow') {
+      // Browsers put rows outside of sections in an implied body.
+      if (!bare) {
+        bare = {type: 'tableBody', children: [], data: {hName: 'tbody'}}
+        children.push(bare)
+      }
+
+      bare.children.push(child)
+      continue
+    }
+
+    bare = undefined
+
+    if (
+      child.type === 'tableCaption' ||
+      ((child.type === 'tableHead' ||
+        child.type === 'tableBody' ||
+        child.type === 'tableFoot') &&
+        child.children.length > 0)
+    ) {
+      children.push(child)
+    }
+  }
+
+  const result: Table = {
+    type: 'table',
+    align: [],
+    children: implyHead(children),
+    data: {hName: 'table'}
+  }
+  state.patch(node, result)
+
+  const grid = tableToGrid(result)
+  const width = grid.rows[0]?.cells.length ?? 0
+  const align = Array.from({length: width}, (_, column) =>
+    columnAlign(grid.rows, column)
+  )
+
+  for (const row of grid.rows) {
+    let column = -1
+
+    while (++column < width) {
+      const slot = row.cells[column]
+      const value = align[column]
+
+      if (!slot) {
+        row.row.children.push(emptyCell(undefined, row.section, value))
+      } else if (
+        value &&
+        slot.origin &&
+        span(slot.cell, 'colspan') === 1 &&
+        !alignOf(slot.cell)
+      ) {
+        setProperty(slot.cell, 'align', value)
+      }
+    }
+  }
+
+  for (const child of result.children) {
+    if (child.type !== 'tableCaption' && child.type !== 'tableRow') {
+      child.cols = width
+    }
+  }
+
+  result.align = align
+  return result
+}
+
+/**
+ * Put a first row of only header cells in a head, if there is no head.
+ *
+ * @param {Table['children']} children
+ *   Children of a table.
+ * @returns {Table['children']}
+ *   Children of a table.
+ */
+function implyHead(children: Table['children']): Table['children'] {
+  const index = children.findIndex((d) => d.type !== 'tableCaption')
+  const section = children[index]
+
+  if (
+    !section ||
+    section.type !== 'tableBody' ||
+    section.children.length < 2 ||
+    !section.children[0].children.every((d) => d.data?.hName === 'th')
+  ) {
+    return children
+  }
+
+  return [
+    ...children.slice(0, index),
+    {
+      type: 'tableHead',
+      children: section.children.slice(0, 1),
+      data: {hName: 'thead'}
+    },
+    {...section, children: section.children.slice(1)},
+    ...children.slice(index + 1)
+  ]
+}
+
+/**
+ * Turn an hast `thead`, `tbody`, or `tfoot` element into mdast.
+ *
+ * @param {State} state
+ *   Info passed around.
+ * @param {Element} node
+ *   hast element.
+ * @returns {TableSection}
+ *   mdast node.
+ */
+function tableSection(state: State, node: Element): TableSection {
+  const result: TableSection = {
+    type: sectionType(node.tagName),
+    children: state.toSpecificContent(state.all(node), createRow),
+    data: {hName: node.tagName}
+  }
+  state.patch(node, result)
+  return result
+}
+
+/**
+ * Turn an hast `tr` element into mdast.
+ *
+ * @param {State} state
+ *   Info passed around.
+ * @param {Element} node
+ *   hast element.
+ * @returns {TableRow}
+ *   mdast node.
+ */
+function tableRow(state: State, node: Element): TableRow {
+  const result: TableRow = {
+    type: 'tableRow',
+    children: state.toSpecificContent(state.all(node), createCell),
+    data: {hName: 'tr'}
+  }
+  state.patch(node, result)
+  return result
+}
+
+/**
+ * Turn an hast `th` or `td` element into mdast, with its `colspan`,
+ * `rowspan`, and alignment.
+ *
+ * @param {State} state
+ *   Info passed around.
+ * @param {Element} node
+ *   hast element.
+ * @returns {TableCell}
+ *   mdast node.
+ */
+function tableCell(state: State, node: Element): TableCell {
+  const flow = state.toFlow(state.all(node))
+  const head = flow[0]
+  const result: TableCell = {
+    type: 'tableCell',
+    // Cells can hold flow content; a single paragraph is unwrapped.
+    children:
+      flow.length === 1 && head.type === 'paragraph' ? head.children : flow,
+    data: {hName: node.tagName}
+  }
+
+  for (const name of ['colspan', 'rowspan'] as const) {
+    // Properties from `hastscript` or a parser are camelcased, those from
+    // `hProperties` not always.
+    const value = Number(
+      node.properties[name === 'colspan' ? 'colSpan' : 'rowSpan'] ??
+        node.properties[name]
+    )
+
+    if (value > 1) {
+      result[name] = Math.floor(value)
+      setProperty(result, name, result[name])
+    }
+  }
+
+  const style = node.properties.style
+  const align =
+    node.properties.align ??
+    (typeof style === 'string' ? textAlignExpression.exec(style)?.[1] : null)
+
+  if (typeof align === 'string' && /^(?:center|left|right)$/i.test(align)) {
+    setProperty(result, 'align', align.toLowerCase())
+  }
+
+  state.patch(node, result)
+  return result
+}
+
+/**
+ * Turn an hast `caption` element into mdast.
+ *
+ * @param {State} state
+ *   Info passed around.
+ * @param {Element} node
+ *   hast element.
+ * @returns {TableCaption}
+ *   mdast node.
+ */
+function tableCaption(state: State, node: Element): TableCaption {
+  const flow = state.toFlow(state.all(node))
+  const head = flow[0]
+  const result: TableCaption = {
+    type: 'tableCaption',
+    children: [],
+    data: {hName: 'caption'}
+  }
+
+  // Captions hold phrasing content only.
+  if (flow.length === 1 && head.type === 'paragraph') {
+    result.children = head.children
+  } else if (flow.length > 0) {
+    result.children = [
+      {type: 'text', value: flow.map((d) => toString(d)).join(' ')}
+    ]
+  }
+
+  state.patch(node, result)
+  return result
+}
+
+/**
+ * Get the node type of a section from its element name.
+ *
+ * @param {string} name
+ *   Element name.
+ * @returns {TableSection['type']}
+ *   Node type.
+ */
+function sectionType(name: string): TableSection['type'] {
+  switch (name) {
+    case 'thead': {
+      return 'tableHead'
+    }
+
+    case 'tfoot': {
+      return 'tableFoot'
+    }
+
+    default: {
+      return 'tableBody'
+    }
+  }
+}
+
+/**
+ * Get the alignment of a column: that of its first aligned cell that does not
+ * span several columns.
+ *
+ * @param {Array<GridRow>} rows
+ *   Grid.
+ * @param {number} column
+ *   Column.
+ * @returns {AlignType}
+ *   Alignment.
+ */
+function columnAlign(rows: Array<GridRow>, column: number): AlignType {
+  for (const row of rows) {
+    const slot = row.cells[column]
+
+    if (slot?.origin && span(slot.cell, 'colspan') === 1) {
+      const value = alignOf(slot.cell)
+      if (value) return value
+    }
+  }
+
+  return null
+}
+
+/**
+ * Get the alignment of a cell.
+ *
+ * @param {TableCell} cell
+ *   Cell.
+ * @returns {AlignType}
+ *   Alignment.
+ */
+function alignOf(cell: TableCell): AlignType {
+  const value = cell.data?.hProperties?.align
+  return value === 'center' || value === 'left' || value === 'right'
+    ? value
+    : null
+}
+
+/**
+ * Set an `hProperties` field of a cell.
+ *
+ * @param {TableCell} cell
+ *   Cell.
+ * @param {string} name
+ *   Property name.
+ * @param {number | string} value
+ *   Property value.
+ * @returns {undefined}
+ *   Nothing.
+ */
+function setProperty(
+  cell: TableCell,
+  name: string,
+  value: number | string
+): undefined {
+  const data = cell.data ?? (cell.data = {})
+  data.hProperties = {...data.hProperties, [name]: value}
+}
+
+/**
+ * Create an empty row.
+ *
+ * @returns {TableRow}
+ *   Row.
+ */
+function createRow(): TableRow {
+  return {type: 'tableRow', children: [], data: {hName: 'tr'}}
+}
+
+/**
+ * Create an empty cell.
+ *
+ * @returns {TableCell}
+ *   Cell.
+ */
+function createCell(): TableCell {
+  return {type: 'tableCell', children: [], data: {hName: 'td'}}
+}
+
+/**
+ * Create hast-to-mdast handlers for `table`, `thead`, `tbody`, `tfoot`, `tr`,
+ * `th`, `td`, and `caption`, to use with `hast-util-to-mdast`;
+ * the inverse of `gfmTableHastHandlers`.
+ *
+ * The tables are shaped like tables from `gfmTableFromMarkdown`: cells keep
+ * their `colspan`, `rowspan`, and alignment (from `align` or
+ * `style="text-align: …"`), and can hold flow content.
+ *
+ * @returns {Record<string, Handle>}
+ *   hast-to-mdast handlers.
+ */
+export function gfmTableFromHastHandlers(): Record<string, Handle> {
+  return {
+    table,
+    thead: tableSection,
+    tbody: tableSection,
+    tfoot: tableSection,
+    tr: tableRow,
+    th: tableCell,
+    td: tableCell,
+    caption: tableCaption
+  }
+}
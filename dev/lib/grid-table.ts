@@ -0,0 +1,810 @@
+import type {AlignType, RootContent} from 'mdast'
+import type {Properties} from 'hast'
+import type {Point, Position} from 'unist'
+import {visit} from 'unist-util-visit'
+import type {TableSection} from './grid.js'
+import type {Table, TableCell, TableCellContent, TableRow} from './types.js'
+
+/**
+ * Configuration for `gridTable`.
+ */
+export interface GridTableOptions {
+  /**
+   * How to align columns (default: `''`);
+   * one style for all columns or styles for their respective columns;
+   * each style is either `'l'` (left), `'r'` (right), or `'c'` (center);
+   * the colons are placed in the line below the head, or in the first line
+   * when there is no head.
+   */
+  align?: ReadonlyArray<string | null | undefined> | string | null | undefined
+  /**
+   * Number of head rows, a line of `=` is written after them (default: `1`);
+   * `0` writes a table without head.
+   */
+  headIndex?: number | undefined
+  /**
+   * Number of rows before the foot (optional);
+   * the foot is enclosed in lines of `=`.
+   */
+  footIndex?: number | undefined
+  /**
+   * Number of columns each cell spans (optional);
+   * a matrix parallel to the table data, where a value above `1` makes that
+   * cell span the following columns.
+   */
+  colspan?:
+    | ReadonlyArray<ReadonlyArray<number | null | undefined> | null | undefined>
+    | null
+    | undefined
+  /**
+   * Number of rows each cell spans (optional);
+   * a matrix parallel to the table data, where a value above `1` makes that
+   * cell span the following rows, up to the end of its head, body, or foot.
+   */
+  rowspan?:
+    | ReadonlyArray<ReadonlyArray<number | null | undefined> | null | undefined>
+    | null
+    | undefined
+  /**
+   * Function to detect the length of table cell content (optional);
+   * see `markdownTable`.
+   */
+  stringLength?: ((value: string) => number) | null | undefined
+}
+
+/**
+ * Parse markdown into content of a cell.
+ */
+export type ParseCell = (value: string) => Array<RootContent>
+
+/**
+ * Node types that cannot be in a cell.
+ */
+const nonCellTypes = new Set(['listItem', 'tableCell', 'tableRow', 'yaml'])
+
+/**
+ * Box drawn in a grid table, from its top left to its bottom right corner.
+ */
+interface Box {
+  top: number
+  left: number
+  bottom: number
+  right: number
+}
+
+/**
+ * Cell placed in a grid table by `gridTable`.
+ */
+interface Placed {
+  row: number
+  column: number
+  rowspan: number
+  colspan: number
+  lines: Array<string>
+}
+
+/**
+ * Columns or rows sized by `gridTable`.
+ */
+interface Track {
+  /**
+   * Size of the content of each column or row.
+   */
+  sizes: Array<number>
+  /**
+   * Size of the border and padding between them, which a spanning cell uses.
+   */
+  gap: number
+}
+
+const borderExpression = /^\+(?:[-=:]+\+)+$/
+
+/**
+ * Parse a grid table.
+ *
+ * Cells are drawn with `+`, `-`, and `|`, and can span columns and rows;
+ * rows above a line of `=` form the head, rows enclosed in the last two lines
+ * of `=` the foot;
+ * colons in the line below the head (or the first line) align columns.
+ *
+ * @param {string} value
+ *   Source of the table.
+ * @param {Point} start
+ *   Place of the first character of `value`.
+ * @param {ParseCell} parse
+ *   Parse the content of a cell.
+ * @returns {Table | undefined}
+ *   mdast table, if `value` is a grid table.
+ */
+export function parseGridTable(
+  value: string,
+  start: Point,
+  parse: ParseCell
+): Table | undefined {
+  const source = lineInfo(value, start)
+  const lines = source.map((d) => d.value)
+  const last = lines.length - 1
+  const width = lines[0].length
+
+  if (
+    last < 2 ||
+    !borderExpression.test(lines[0]) ||
+    !borderExpression.test(lines[last]) ||
+    lines.some((d) => d.length !== width || !/^[+|].*[+|]$/.test(d))
+  ) {
+    return
+  }
+
+  const boxes = scanBoxes(lines)
+  let area = 0
+
+  for (const box of boxes) {
+    area += (box.bottom - box.top) * (box.right - box.left)
+  }
+
+  if (area !== last * (width - 1)) return
+
+  const xs = [...new Set(boxes.flatMap((d) => [d.left, d.right]))].sort(
+    (a, b) => a - b
+  )
+  const ys = [...new Set(boxes.flatMap((d) => [d.top, d.bottom]))].sort(
+    (a, b) => a - b
+  )
+  const equals = ys.filter((y) => y > 0 && y < last && lines[y].includes('='))
+  const footY =
+    lines[last].includes('=') && equals.length > 0 ? equals.pop() : undefined
+  const headY = equals[0]
+  const alignLine = lines[headY ?? 0]
+  const align: Array<AlignType> = []
+  let index = -1
+
+  while (++index < xs.length - 1) {
+    const left = alignLine.charAt(xs[index] + 1) === ':'
+    const right = alignLine.charAt(xs[index + 1] - 1) === ':'
+    align.push(
+      left && right ? 'center' : left ? 'left' : right ? 'right' : null
+    )
+  }
+
+  const table: Table = {
+    type: 'table',
+    align,
+    children: [],
+    data: {hName: 'table', tableFormat: 'grid'},
+    position: {
+      start: toPoint(source, 0, 0),
+      end: toPoint(source, last, width)
+    }
+  }
+  const positions = ys.slice(0, -1).map((y, index) => ({
+    start: toPoint(source, y, 0),
+    end: toPoint(source, ys[index + 1], width)
+  }))
+  const rows: Array<TableRow> = positions.map((position) => ({
+    type: 'tableRow',
+    children: [],
+    data: {hName: 'tr'},
+    position
+  }))
+
+  boxes.sort((a, b) => a.top - b.top || a.left - b.left)
+
+  for (const box of boxes) {
+    const row = ys.indexOf(box.top)
+    const column = xs.indexOf(box.left)
+    const head = headY !== undefined && box.top < headY
+    const properties: Properties = {}
+    const cell: TableCell = {
+      type: 'tableCell',
+      children: cellContent(source, box, parse),
+      data: {hName: head ? 'th' : 'td'},
+      position: {
+        start: toPoint(source, box.top, box.left),
+        end: toPoint(source, box.bottom, box.right + 1)
+      }
+    }
+    const colspan = xs.indexOf(box.right) - column
+    const rowspan = ys.indexOf(box.bottom) - row
+
+    if (align[column]) properties.align = align[column]
+
+    if (colspan > 1) {
+      cell.colspan = colspan
+      properties.colspan = colspan
+    }
+
+    if (rowspan > 1) {
+      cell.rowspan = rowspan
+      properties.rowspan = rowspan
+    }
+
+    if (Object.keys(properties).length > 0) {
+      cell.data = {...cell.data, hProperties: properties}
+    }
+
+    rows[row].children.push(cell)
+  }
+
+  let section: TableSection | undefined
+
+  for (const [index, row] of rows.entries()) {
+    const y = ys[index]
+    const type =
+      headY !== undefined && y < headY
+        ? 'tableHead'
+        : footY !== undefined && y >= footY
+        ? 'tableFoot'
+        : 'tableBody'
+
+    if (!section || section.type !== type) {
+      const next: TableSection = {
+        type,
+        cols: align.length,
+        children: [],
+        data: {
+          hName:
+            type === 'tableHead'
+              ? 'thead'
+              : type === 'tableFoot'
+              ? 'tfoot'
+              : 'tbody'
+        },
+        position: {...positions[index]}
+      }
+      section = next
+      table.children.push(next)
+    }
+
+    section.children.push(row)
+    if (section.position) section.position.end = positions[index].end
+  }
+
+  return table
+}
+
+/**
+ * Generate a grid table.
+ *
+ * @param {ReadonlyArray<ReadonlyArray<string | null | undefined>>} table
+ *   Table data (matrix of strings), where values can span several lines.
+ * @param {Readonly<GridTableOptions> | null | undefined} [options]
+ *   Configuration (optional).
+ * @returns {string}
+ *   Result.
+ */
+export function gridTable(
+  table: ReadonlyArray<ReadonlyArray<string | null | undefined>>,
+  options?: Readonly<GridTableOptions> | null | undefined
+): string {
+  const settings = options ?? {}
+  const stringLength = settings.stringLength ?? defaultStringLength
+  const rowCount = table.length
+  const columnCount = Math.max(0, ...table.map((d) => d.length))
+  const headIndex = Math.min(
+    settings.headIndex === undefined || settings.headIndex < 0
+      ? 1
+      : settings.headIndex,
+    rowCount
+  )
+  const footIndex =
+    settings.footIndex !== undefined &&
+    settings.footIndex >= headIndex &&
+    settings.footIndex < rowCount
+      ? settings.footIndex
+      : rowCount
+  const taken: Array<Array<boolean>> = table.map(() => [])
+  const cells: Array<Placed> = []
+  const columns: Track = {
+    sizes: Array.from({length: columnCount}, () => 1),
+    gap: 3
+  }
+  const rows: Track = {sizes: Array.from({length: rowCount}, () => 1), gap: 1}
+  let rowIndex = -1
+
+  if (columnCount === 0) return ''
+
+  while (++rowIndex < rowCount) {
+    const end =
+      rowIndex < headIndex
+        ? headIndex
+        : rowIndex < footIndex
+        ? footIndex
+        : rowCount
+    let columnIndex = -1
+
+    while (++columnIndex < columnCount) {
+      if (taken[rowIndex][columnIndex]) continue
+      let colspan = 1
+      let rowspan = 1
+
+      while (
+        colspan < toSpan(settings.colspan?.[rowIndex]?.[columnIndex]) &&
+        columnIndex + colspan < columnCount &&
+        !taken[rowIndex][columnIndex + colspan]
+      ) {
+        colspan++
+      }
+
+      while (
+        rowspan < toSpan(settings.rowspan?.[rowIndex]?.[columnIndex]) &&
+        rowIndex + rowspan < end
+      ) {
+        rowspan++
+      }
+
+      let y = -1
+
+      while (++y < rowspan) {
+        let x = -1
+
+        while (++x < colspan) {
+          taken[rowIndex + y][columnIndex + x] = true
+        }
+      }
+
+      cells.push({
+        row: rowIndex,
+        column: columnIndex,
+        rowspan,
+        colspan,
+        lines: String(table[rowIndex][columnIndex] ?? '').split(/\r?\n|\r/)
+      })
+    }
+  }
+
+  // Size cells spanning one column first, then spread wider cells.
+  cells.sort((a, b) => a.colspan - b.colspan)
+
+  for (const cell of cells) {
+    const size = Math.max(...cell.lines.map((d) => stringLength(d)))
+    grow(columns, cell.column, cell.colspan, size)
+    // Content stays in the first row, so it does not cross borders.
+    grow(rows, cell.row, 1, cell.lines.length)
+  }
+
+  const xs = offsets(columns)
+  const ys = offsets(rows)
+  const canvas: Array<Array<string>> = Array.from(
+    {length: ys[rowCount] + 1},
+    () => Array.from({length: xs[columnCount] + 1}, () => ' ')
+  )
+
+  for (const cell of cells) {
+    const top = ys[cell.row]
+    const bottom = ys[cell.row + cell.rowspan]
+    const left = xs[cell.column]
+    const right = xs[cell.column + cell.colspan]
+    const size = right - left - 3
+    const code = toAlignment(settings.align, cell.column)
+    let x = left
+    let y = top
+
+    while (++x < right) {
+      canvas[top][x] = '-'
+      canvas[bottom][x] = '-'
+    }
+
+    while (++y < bottom) {
+      canvas[y][left] = '|'
+      canvas[y][right] = '|'
+    }
+
+    for (const [index, line] of cell.lines.entries()) {
+      const room = size - stringLength(line)
+      const before =
+        code === 114 /* `r` */
+          ? room
+          : code === 99 /* `c` */
+          ? Math.floor(room / 2)
+          : 0
+      const row = canvas[top + 1 + index]
+      row[left + 2] = ' '.repeat(before) + line + ' '.repeat(room - before)
+      row.fill('', left + 3, right - 1)
+    }
+  }
+
+  for (const cell of cells) {
+    for (const y of [ys[cell.row], ys[cell.row + cell.rowspan]]) {
+      canvas[y][xs[cell.column]] = '+'
+      canvas[y][xs[cell.column + cell.colspan]] = '+'
+    }
+  }
+
+  const head = headIndex > 0 && headIndex < rowCount
+  const equals = head ? [headIndex] : []
+
+  if (footIndex < rowCount) equals.push(footIndex, rowCount)
+
+  for (const index of equals) {
+    const line = canvas[ys[index]]
+    for (const [x, value] of line.entries()) {
+      if (value === '-') line[x] = '='
+    }
+  }
+
+  const alignLine = canvas[head ? ys[headIndex] : 0]
+  let columnIndex = -1
+
+  while (++columnIndex < columnCount) {
+    const code = toAlignment(settings.align, columnIndex)
+
+    if (code === 108 /* `l` */ || code === 99 /* `c` */) {
+      alignLine[xs[columnIndex] + 1] = ':'
+    }
+
+    if (code === 114 /* `r` */ || code === 99 /* `c` */) {
+      alignLine[xs[columnIndex + 1] - 1] = ':'
+    }
+  }
+
+  return canvas.map((d) => d.join('')).join('\n')
+}
+
+/**
+ * Find the boxes drawn in a grid table, starting at its top left corner.
+ *
+ * @param {ReadonlyArray<string>} lines
+ *   Lines of the table.
+ * @returns {Array<Box>}
+ *   Boxes.
+ */
+function scanBoxes(lines: ReadonlyArray<string>): Array<Box> {
+  const boxes: Array<Box> = []
+  const corners: Array<[number, number]> = [[0, 0]]
+  const seen = new Set<string>()
+  const bottom = lines.length - 1
+  const right = lines[0].length - 1
+  let corner: [number, number] | undefined
+
+  while ((corner = corners.shift())) {
+    const [top, left] = corner
+    const key = `${top}:${left}`
+    if (top === bottom || left === right || seen.has(key)) continue
+    seen.add(key)
+    const box = scanBox(lines, top, left)
+    if (!box) continue
+    boxes.push(box)
+    corners.push([box.top, box.right], [box.bottom, box.left])
+  }
+
+  return boxes
+}
+
+/**
+ * Find the box with its top left corner at `top`, `left`.
+ *
+ * @param {ReadonlyArray<string>} lines
+ *   Lines of the table.
+ * @param {number} top
+ *   Line of the corner.
+ * @param {number} left
+ *   Character of the corner.
+ * @returns {Box | undefined}
+ *   Box, if any.
+ */
+function scanBox(
+  lines: ReadonlyArray<string>,
+  top: number,
+  left: number
+): Box | undefined {
+  const line = lines[top]
+  let right = left
+
+  if (line.charAt(left) !== '+') return
+
+  while (++right < line.length) {
+    const code = line.charAt(right)
+
+    if (code === '+') {
+      let bottom = top
+
+      // Walk down the right edge, to a corner that closes the box.
+      while (++bottom < lines.length) {
+        const code = lines[bottom].charAt(right)
+
+        if (code === '+') {
+          const box = {top, left, bottom, right}
+          if (closes(lines, box)) return box
+        } else if (code !== '|') {
+          break
+        }
+      }
+    } else if (code !== '-' && code !== '=' && code !== ':') {
+      return
+    }
+  }
+}
+
+/**
+ * Check whether the bottom and left edges of a box are drawn.
+ *
+ * @param {ReadonlyArray<string>} lines
+ *   Lines of the table.
+ * @param {Box} box
+ *   Box.
+ * @returns {boolean}
+ *   Whether the box is closed.
+ */
+function closes(lines: ReadonlyArray<string>, box: Box): boolean {
+  const bottom = lines[box.bottom].slice(box.left, box.right + 1)
+  let y = box.top
+
+  if (!borderExpression.test(bottom)) return false
+
+  while (++y < box.bottom) {
+    const code = lines[y].charAt(box.left)
+    if (code !== '|' && code !== '+') return false
+  }
+
+  return true
+}
+
+/**
+ * Parse the content of a box.
+ *
+ * @param {Array<LineInfo>} source
+ *   Lines of the table.
+ * @param {Box} box
+ *   Box.
+ * @param {ParseCell} parse
+ *   Parse the content of a cell.
+ * @returns {Array<TableCellContent>}
+ *   Content.
+ */
+function cellContent(
+  source: Array<LineInfo>,
+  box: Box,
+  parse: ParseCell
+): Array<TableCellContent> {
+  const lines = source.slice(box.top + 1, box.bottom).map((d, index) => ({
+    value: d.value.slice(box.left + 1, box.right),
+    start: toPoint(source, box.top + 1 + index, box.left + 1)
+  }))
+
+  return parseLines(lines, parse)
+}
+
+/**
+ * Parse lines of cell content as markdown, dropping their common indent.
+ *
+ * @param {Array<LineInfo>} lines
+ *   Lines of a cell.
+ * @param {ParseCell} parse
+ *   Parse the content of a cell.
+ * @returns {Array<TableCellContent>}
+ *   Content; a single paragraph is unwrapped, other flow content is kept.
+ */
+export function parseLines(
+  lines: Array<LineInfo>,
+  parse: ParseCell
+): Array<TableCellContent> {
+  const values = lines.map((d) => d.value.trimEnd())
+  let start = 0
+  let end = values.length
+
+  while (start < end && !values[start]) start++
+  while (end > start && !values[end - 1]) end--
+
+  const indent = Math.min(
+    ...values
+      .slice(start, end)
+      .filter(Boolean)
+      .map((d) => /^ */.exec(d)?.[0].length ?? 0)
+  )
+  const children = parse(
+    values
+      .slice(start, end)
+      .map((d) => d.slice(indent))
+      .join('\n')
+  ).filter((d) => isCellContent(d))
+
+  // Move positions from the cell content to the document.
+  for (const child of children) {
+    visit(child, function (node) {
+      if (node.position) {
+        node.position = movePosition(node.position, function (point) {
+          return toPoint(
+            lines,
+            start + point.line - 1,
+            indent + point.column - 1
+          )
+        })
+      }
+    })
+  }
+
+  const head = children[0]
+
+  if (children.length === 1 && head.type === 'paragraph') {
+    return head.children
+  }
+
+  // Cells of grid tables and multiline rows can hold flow content.
+  return children
+}
+
+/**
+ * Check whether a node can be in a cell.
+ *
+ * @param {RootContent} node
+ *   Node.
+ * @returns {node is TableCellContent}
+ *   Whether `node` can be in a cell.
+ */
+function isCellContent(node: RootContent): node is TableCellContent {
+  return !nonCellTypes.has(node.type)
+}
+
+/**
+ * Line of source.
+ */
+export interface LineInfo {
+  /**
+   * Line.
+   */
+  value: string
+  /**
+   * Place of the first character of `value`.
+   */
+  start: Point
+}
+
+/**
+ * Split a value into lines, dropping their indent.
+ *
+ * @param {string} value
+ *   Value.
+ * @param {Point} start
+ *   Place of the first character of `value`.
+ * @returns {Array<LineInfo>}
+ *   Lines.
+ */
+function lineInfo(value: string, start: Point): Array<LineInfo> {
+  const expression = /\r?\n|\r/g
+  const result: Array<LineInfo> = []
+  let offset = 0
+  let match: RegExpExecArray | null = null
+
+  do {
+    match = expression.exec(value)
+    const end = match ? match.index : value.length
+    const line = value.slice(offset, end)
+    const indent = /^[ \t]*/.exec(line)?.[0].length ?? 0
+    const first = result.length === 0
+
+    result.push({
+      value: line.slice(indent).trimEnd(),
+      start: {
+        line: start.line + result.length,
+        column: (first ? start.column : 1) + indent,
+        offset:
+          start.offset === undefined
+            ? undefined
+            : start.offset + offset + indent
+      }
+    })
+
+    if (match) offset = match.index + match[0].length
+  } while (match)
+
+  return result
+}
+
+/**
+ * @param {Array<LineInfo>} source
+ *   Lines.
+ * @param {number} line
+ *   Index of a line.
+ * @param {number} column
+ *   Index of a character in that line.
+ * @returns {Point}
+ *   Place in the document.
+ */
+function toPoint(source: Array<LineInfo>, line: number, column: number): Point {
+  const start = source[line].start
+  return {
+    line: start.line,
+    column: start.column + column,
+    offset: start.offset === undefined ? undefined : start.offset + column
+  }
+}
+
+/**
+ * @param {Position} position
+ *   Position.
+ * @param {(point: Point) => Point} move
+ *   Move a point.
+ * @returns {Position}
+ *   Moved position.
+ */
+function movePosition(
+  position: Position,
+  move: (point: Point) => Point
+): Position {
+  return {start: move(position.start), end: move(position.end)}
+}
+
+/**
+ * Grow the sizes of columns or rows so that a cell spanning them fits.
+ *
+ * @param {Track} track
+ *   Columns or rows.
+ * @param {number} index
+ *   First column or row of the cell.
+ * @param {number} span
+ *   Number of columns or rows of the cell.
+ * @param {number} size
+ *   Size of the cell.
+ * @returns {undefined}
+ *   Nothing.
+ */
+function grow(
+  track: Track,
+  index: number,
+  span: number,
+  size: number
+): undefined {
+  let room = (span - 1) * track.gap
+  let offset = -1
+
+  while (++offset < span) room += track.sizes[index + offset]
+
+  if (size > room) track.sizes[index + span - 1] += size - room
+}
+
+/**
+ * @param {Track} track
+ *   Columns or rows.
+ * @returns {Array<number>}
+ *   Places of the borders.
+ */
+function offsets(track: Track): Array<number> {
+  const result = [0]
+
+  for (const size of track.sizes) {
+    result.push(result[result.length - 1] + size + track.gap)
+  }
+
+  return result
+}
+
+/**
+ * @param {string} value
+ *   Cell value.
+ * @returns {number}
+ *   Cell size.
+ */
+function defaultStringLength(value: string): number {
+  return value.length
+}
+
+/**
+ * @param {number | null | undefined} value
+ *   Number of columns or rows.
+ * @returns {number}
+ *   Span, at least `1`.
+ */
+function toSpan(value: number | null | undefined): number {
+  return typeof value === 'number' && value > 1 ? Math.floor(value) : 1
+}
+
+/**
+ * @param {GridTableOptions['align']} align
+ *   Alignment of all columns or each column.
+ * @param {number} column
+ *   Column.
+ * @returns {number}
+ *   Alignment.
+ */
+function toAlignment(align: GridTableOptions['align'], column: number): number {
+  const value = typeof align === 'string' ? align : align?.[column]
+  const code = typeof value === 'string' ? value.codePointAt(0) : 0
+
+  return code === 67 /* `C` */ || code === 99 /* `c` */
+    ? 99 /* `c` */
+    : code === 76 /* `L` */ || code === 108 /* `l` */
+    ? 108 /* `l` */
+    : code === 82 /* `R` */ || code === 114 /* `r` */
+    ? 114 /* `r` */
+    : 0
+}
@@ -0,0 +1,448 @@
+import type {AlignType} from 'mdast'
+import type {
+  Table,
+  TableBody,
+  TableCell,
+  TableFoot,
+  TableHead,
+  TableRow
+} from './types.js'
+
+/**
+ * Slot in the grid of a table.
+ */
+export interface GridSlot {
+  /**
+   * Cell covering this slot.
+   */
+  cell: TableCell
+  /**
+   * Whether this slot is the first (top left) slot of `cell`; other slots are
+   * covered by its `colspan` or `rowspan`.
+   */
+  origin: boolean
+  /**
+   * Row offset of this slot from the first row of `cell`.
+   */
+  row: number
+  /**
+   * Column offset of this slot from the first column of `cell`.
+   */
+  column: number
+}
+
+/**
+ * Section of a table.
+ */
+export type TableSection = TableBody | TableFoot | TableHead
+
+/**
+ * Row in the grid of a table.
+ */
+export interface GridRow {
+  /**
+   * Section of this row, if any.
+   */
+  section: TableSection | undefined
+  /**
+   * Row node.
+   */
+  row: TableRow
+  /**
+   * Slots in this row, one per column;
+   * `undefined` where the row has no cell.
+   */
+  cells: Array<GridSlot | undefined>
+}
+
+/**
+ * Grid of a table.
+ */
+export interface TableGrid {
+  /**
+   * Alignment of the columns.
+   */
+  align: Array<AlignType> | null | undefined
+  /**
+   * Rows.
+   */
+  rows: Array<GridRow>
+  /**
+   * Table the grid was made from, if any;
+   * reused by `gridToTable`.
+   */
+  table?: Table | undefined
+}
+
+/**
+ * Resolve a table into a grid, placing each cell in every slot it covers
+ * through its `colspan` and `rowspan`.
+ *
+ * Rowspans are clipped at the end of their section; all rows have as many
+ * slots as the widest row or `align`.
+ *
+ * @param {Table} table
+ *   mdast table.
+ * @returns {TableGrid}
+ *   Grid.
+ */
+export function tableToGrid(table: Table): TableGrid {
+  const groups: Array<{
+    section: TableSection | undefined
+    rows: Array<TableRow>
+  }> = []
+  const rows: Array<GridRow> = []
+  let bare: Array<TableRow> | undefined
+  let width = table.align ? table.align.length : 0
+
+  for (const child of table.children) {
+    if (child.type === 'tableCaption') continue
+
+    if (child.type === 'tableRow') {
+      // Rows outside of sections are resolved together.
+      if (!bare) {
+        bare = []
+        groups.push({section: undefined, rows: bare})
+      }
+
+      bare.push(child)
+      continue
+    }
+
+    bare = undefined
+    groups.push({section: child, rows: child.children})
+  }
+
+  for (const group of groups) {
+    const slots = resolveSpans(group.rows)
+    let index = -1
+
+    while (++index < group.rows.length) {
+      width = Math.max(width, slots[index].length)
+      rows.push({
+        section: group.section,
+        row: group.rows[index],
+        cells: slots[index]
+      })
+    }
+  }
+
+  for (const row of rows) {
+    const cells = row.cells
+    row.cells = Array.from({length: width}, (_, index) => cells[index])
+  }
+
+  return {align: table.align, rows, table}
+}
+
+/**
+ * Turn a grid back into a table, recomputing the `colspan` and `rowspan` of
+ * its cells.
+ *
+ * Each cell starts at its first slot (in reading order) and spans the largest
+ * rectangle of slots it fills from there, within its section;
+ * other slots of that cell become empty cells, as do gaps before the last
+ * slot of a row.
+ * The rows, sections, and cells in the grid are reused.
+ *
+ * @param {TableGrid} grid
+ *   Grid.
+ * @returns {Table}
+ *   mdast table.
+ */
+export function gridToTable(grid: TableGrid): Table {
+  const rows = grid.rows
+  const width = grid.align
+    ? grid.align.length
+    : Math.max(0, ...rows.map((d) => d.cells.length))
+  const taken: Array<Array<boolean>> = rows.map(() => [])
+  const done = new Set<TableCell>()
+  const children: Table['children'] = []
+  let rowIndex = -1
+
+  while (++rowIndex < rows.length) {
+    const row = rows[rowIndex]
+    const cells: Array<TableCell> = []
+    let end = row.cells.length
+    let columnIndex = -1
+
+    while (end > 0 && !row.cells[end - 1]) end--
+
+    while (++columnIndex < end) {
+      if (taken[rowIndex][columnIndex]) continue
+      const slot = row.cells[columnIndex]
+
+      if (!slot || done.has(slot.cell)) {
+        cells.push(
+          emptyCell(slot?.cell, row.section, grid.align?.[columnIndex])
+        )
+        continue
+      }
+
+      const cell = slot.cell
+      let colspan = 1
+      let rowspan = 1
+
+      while (
+        row.cells[columnIndex + colspan]?.cell === cell &&
+        !taken[rowIndex][columnIndex + colspan]
+      ) {
+        colspan++
+      }
+
+      while (
+        fills(grid, taken, rowIndex + rowspan, {
+          cell,
+          section: row.section,
+          column: columnIndex,
+          colspan
+        })
+      ) {
+        rowspan++
+      }
+
+      let y = -1
+
+      while (++y < rowspan) {
+        let x = -1
+
+        while (++x < colspan) {
+          taken[rowIndex + y][columnIndex + x] = true
+        }
+      }
+
+      done.add(cell)
+      setSpan(cell, 'colspan', colspan)
+      setSpan(cell, 'rowspan', rowspan)
+      cells.push(cell)
+    }
+
+    row.row.children = cells
+    addRow(children, row, width)
+  }
+
+  if (grid.table) {
+    const captions = grid.table.children.filter(
+      (d) => d.type === 'tableCaption'
+    )
+    if (grid.table.align !== grid.align) grid.table.align = grid.align
+    grid.table.children = [...captions, ...children]
+    return grid.table
+  }
+
+  return {type: 'table', align: grid.align, children, data: {hName: 'table'}}
+}
+
+/**
+ * Cell being placed by `gridToTable`.
+ */
+interface CellInfo {
+  /**
+   * Cell.
+   */
+  cell: TableCell
+  /**
+   * Section of the cell.
+   */
+  section: TableSection | undefined
+  /**
+   * First column of the cell.
+   */
+  column: number
+  /**
+   * Number of columns of the cell.
+   */
+  colspan: number
+}
+
+/**
+ * Check whether the row at `index` continues a cell.
+ *
+ * @param {TableGrid} grid
+ *   Grid.
+ * @param {Array<Array<boolean>>} taken
+ *   Slots already used by cells.
+ * @param {number} index
+ *   Row.
+ * @param {CellInfo} info
+ *   Cell, its section, its first column, and its width.
+ * @returns {boolean}
+ *   Whether all slots of `cell` in that row are filled by it.
+ */
+function fills(
+  grid: TableGrid,
+  taken: Array<Array<boolean>>,
+  index: number,
+  info: CellInfo
+): boolean {
+  const row = grid.rows[index]
+  if (!row || row.section !== info.section) return false
+  let x = -1
+
+  while (++x < info.colspan) {
+    const column = info.column + x
+    if (row.cells[column]?.cell !== info.cell || taken[index][column]) {
+      return false
+    }
+  }
+
+  return true
+}
+
+/**
+ * Add a row to the children of a table, in its section.
+ *
+ * @param {Table['children']} children
+ *   Children of a table.
+ * @param {GridRow} row
+ *   Row.
+ * @param {number} width
+ *   Number of columns.
+ * @returns {undefined}
+ *   Nothing.
+ */
+function addRow(
+  children: Table['children'],
+  row: GridRow,
+  width: number
+): undefined {
+  const section = row.section
+
+  if (!section) {
+    children.push(row.row)
+    return
+  }
+
+  if (children[children.length - 1] !== section) {
+    section.children = []
+    if (section.cols !== undefined) section.cols = width
+    children.push(section)
+  }
+
+  section.children.push(row.row)
+}
+
+/**
+ * Create an empty cell like `cell`.
+ *
+ * @param {TableCell | undefined} cell
+ *   Cell to take the element name from, if any.
+ * @param {TableSection | undefined} section
+ *   Section of the cell.
+ * @param {AlignType | undefined} align
+ *   Alignment of the column.
+ * @returns {TableCell}
+ *   Empty cell.
+ */
+export function emptyCell(
+  cell: TableCell | undefined,
+  section: TableSection | undefined,
+  align: AlignType | undefined
+): TableCell {
+  const name = section?.type === 'tableHead' ? 'th' : 'td'
+  const result: TableCell = {
+    type: 'tableCell',
+    children: [],
+    data: {hName: cell?.data?.hName ?? name}
+  }
+
+  if (align) {
+    result.data = {...result.data, hProperties: {align}}
+  }
+
+  return result
+}
+
+/**
+ * Set the `colspan` or `rowspan` of a cell, on the node and its
+ * `hProperties`.
+ *
+ * @param {TableCell} cell
+ *   Cell.
+ * @param {'colspan' | 'rowspan'} name
+ *   Span to set.
+ * @param {number} value
+ *   Span.
+ * @returns {undefined}
+ *   Nothing.
+ */
+function setSpan(
+  cell: TableCell,
+  name: 'colspan' | 'rowspan',
+  value: number
+): undefined {
+  const properties = cell.data?.hProperties
+
+  if (value > 1) {
+    cell[name] = value
+    const data = cell.data ?? (cell.data = {})
+    data.hProperties = {...data.hProperties, [name]: value}
+  } else {
+    Reflect.deleteProperty(cell, name)
+    if (properties) Reflect.deleteProperty(properties, name)
+  }
+}
+
+/**
+ * Place the cells of `rows` in a grid, following their `colspan` and
+ * `rowspan`.
+ *
+ * Rowspans are clipped at the end of `rows`, and slots that are already taken
+ * are not overwritten by later cells.
+ *
+ * @param {Array<TableRow>} rows
+ *   Rows of a section.
+ * @returns {Array<Array<GridSlot | undefined>>}
+ *   Slots per row.
+ */
+function resolveSpans(
+  rows: Array<TableRow>
+): Array<Array<GridSlot | undefined>> {
+  const grid: Array<Array<GridSlot | undefined>> = rows.map(() => [])
+  let rowIndex = -1
+
+  while (++rowIndex < rows.length) {
+    let columnIndex = 0
+
+    for (const cell of rows[rowIndex].children) {
+      while (grid[rowIndex][columnIndex]) columnIndex++
+
+      const colspan = span(cell, 'colspan')
+      const rowspan = Math.min(span(cell, 'rowspan'), rows.length - rowIndex)
+      let y = -1
+
+      while (++y < rowspan) {
+        let x = -1
+
+        while (++x < colspan) {
+          grid[rowIndex + y][columnIndex + x] ||= {
+            cell,
+            origin: x === 0 && y === 0,
+            row: y,
+            column: x
+          }
+        }
+      }
+
+      columnIndex += colspan
+    }
+  }
+
+  return grid
+}
+
+/**
+ * Get the `colspan` or `rowspan` of a cell, from the node or its
+ * `hProperties`.
+ *
+ * @param {TableCell} cell
+ *   Cell.
+ * @param {'colspan' | 'rowspan'} name
+ *   Span to get.
+ * @returns {number}
+ *   Span, at least `1`.
+ */
+export function span(cell: TableCell, name: 'colspan' | 'rowspan'): number {
+  const value = Number(cell[name] ?? cell.data?.hProperties?.[name])
+  return value > 1 ? Math.floor(value) : 1
+}
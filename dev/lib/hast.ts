@@ -1,15 +1,21 @@
 import type {Nodes as MdastNodes, Parents as MdastParents} from 'mdast'
 import type {Handlers, State} from 'mdast-util-to-hast'
+import {toString} from 'mdast-util-to-string'
+import {type GridRow, tableToGrid} from './grid.js'
+import {mergeProperties} from './attributes.js'
 import {
+  type HastOptions,
   type Table,
+  type TableCaption,
   type TableCell,
   type HastElement,
   type HastElementContent,
+  type HastProperties,
   transData
 } from './types.js'
 
 /**
- * @import {Table, TableCell, HastElement, HastElementContent} from "./types.js"
+ * @import {HastOptions, Table, TableCaption, TableCell, HastElement, HastElementContent} from "./types.js"
  * @import {Handlers, State} from "mdast-util-to-hast"
  * @import {Nodes as MdastNodes} from 'mdast'
  */
@@ -86,7 +92,7 @@ function applyData(
 }
 
 /**
- * Turn an mdast `table|tableHead|tableBody|tableRow` node into hast.
+ * Turn an mdast `table|tableHead|tableBody|tableFoot|tableRow` node into hast.
  *
  * @param {State} state
  *   Info passed around.
@@ -107,7 +113,55 @@ function table(
     cols = parent.cols
   }
 
-  return applyData(state, node, true, cols)
+  const result = applyData(state, node, true, cols)
+  const widths = node.type === 'table' ? node.data?.tableWidths : undefined
+  const defaults =
+    node.type === 'table' ? node.data?.tableProperties : undefined
+
+  if (defaults) {
+    result.properties = mergeProperties(defaults, result.properties)
+  }
+
+  if (widths) {
+    const index = result.children.findIndex(
+      (d) => d.type === 'element' && d.tagName === 'caption'
+    )
+    result.children.splice(
+      index + 1,
+      0,
+      {type: 'text', value: '\n'},
+      colgroup(widths)
+    )
+  }
+
+  return result
+}
+
+/**
+ * Create a `<colgroup>` with a `<col>` per column, setting its width.
+ *
+ * @param {Array<number>} widths
+ *   Relative width of each column.
+ * @returns {HastElement}
+ *   hast node.
+ */
+function colgroup(widths: Array<number>): HastElement {
+  const children: Array<HastElementContent> = widths.map((width) => ({
+    type: 'element',
+    tagName: 'col',
+    properties: {style: `width:${Math.round(width * 10_000) / 100}%`},
+    children: []
+  }))
+
+  return {
+    type: 'element',
+    tagName: 'colgroup',
+    properties: {},
+    children: [
+      {type: 'text', value: '\n'},
+      ...children.flatMap((d) => [d, {type: 'text' as const, value: '\n'}])
+    ]
+  }
 }
 
 /**
@@ -127,17 +181,393 @@ function tableCell(state: State, node: TableCell): HastElementContent {
 }
 
 /**
- * Redefine hast Handlers for table, tableRow, tableCell.
+ * Turn an mdast `tableCaption` node into hast.
+ *
+ * @param {State} state
+ *   Info passed around.
+ * @param {TableCaption} node
+ *   mdast node.
+ * @returns {HastElementContent}
+ *   hast node.
+ */
+function tableCaption(state: State, node: TableCaption): HastElementContent {
+  return applyData(state, node, false)
+}
+
+/**
+ * Get the values (such as ids) of the header cells above the cell at
+ * `rowIndex` in `columns`;
+ * in the head or in the same section.
+ *
+ * @param {Array<GridRow>} rows
+ *   Grid.
+ * @param {number} rowIndex
+ *   Row of the cell.
+ * @param {Array<number>} columns
+ *   Columns of the cell.
+ * @param {Map<TableCell, string>} ids
+ *   Values of header cells.
+ * @returns {Array<string>}
+ *   Values.
+ */
+function headersAbove(
+  rows: Array<GridRow>,
+  rowIndex: number,
+  columns: Array<number>,
+  ids: Map<TableCell, string>
+): Array<string> {
+  const result: Array<string> = []
+  let index = -1
+
+  while (++index < rowIndex) {
+    const row = rows[index]
+    if (
+      row.section?.type !== 'tableHead' &&
+      row.section !== rows[rowIndex].section
+    ) {
+      continue
+    }
+
+    for (const column of columns) {
+      const slot = row.cells[column]
+      const id = slot && ids.get(slot.cell)
+      if (id) result.push(id)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Get the values (such as ids) of the header cells left of the cell at
+ * `columnIndex` in `rowIndexes`.
+ *
+ * @param {Array<GridRow>} rows
+ *   Grid.
+ * @param {Array<number>} rowIndexes
+ *   Rows of the cell.
+ * @param {number} columnIndex
+ *   Column of the cell.
+ * @param {Map<TableCell, string>} ids
+ *   Values of header cells.
+ * @returns {Array<string>}
+ *   Values.
+ */
+function headersBefore(
+  rows: Array<GridRow>,
+  rowIndexes: Array<number>,
+  columnIndex: number,
+  ids: Map<TableCell, string>
+): Array<string> {
+  const result: Array<string> = []
+
+  for (const rowIndex of rowIndexes) {
+    let index = -1
+
+    while (++index < columnIndex) {
+      const slot = rows[rowIndex].cells[index]
+      const id = slot && ids.get(slot.cell)
+      if (id) result.push(id)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Check whether a row only has header cells.
+ *
+ * @param {GridRow} row
+ *   Row.
+ * @returns {boolean}
+ *   Whether all cells in `row` are `<th>`s.
+ */
+function isHeaderRow(row: GridRow): boolean {
+  return row.cells.every((slot) => !slot || slot.cell.data?.hName === 'th')
+}
+
+/**
+ * Get the labels of the cells in a grid: the text of the header cells above
+ * them in their columns, from rows with only header cells.
+ *
+ * @param {Array<GridRow>} rows
+ *   Grid.
+ * @returns {Map<TableCell, string>}
+ *   Labels of cells that have them.
+ */
+function labelCells(rows: Array<GridRow>): Map<TableCell, string> {
+  const texts = new Map<TableCell, string>()
+  const labels = new Map<TableCell, string>()
+
+  for (const row of rows) {
+    if (!isHeaderRow(row)) continue
+
+    for (const slot of row.cells) {
+      if (slot?.origin) texts.set(slot.cell, toString(slot.cell).trim())
+    }
+  }
+
+  for (const [rowIndex, row] of rows.entries()) {
+    for (const [columnIndex, slot] of row.cells.entries()) {
+      if (!slot?.origin) continue
+      const columns: Array<number> = []
+      let index = columnIndex
+
+      while (row.cells[index]?.cell === slot.cell) columns.push(index++)
+
+      const label = [
+        ...new Set(headersAbove(rows, rowIndex, columns, texts))
+      ].join(' ')
+      if (label) labels.set(slot.cell, label)
+    }
+  }
+
+  return labels
+}
+
+/**
+ * Redefine hast Handlers for table, tableHead, tableBody, tableFoot, tableRow,
+ * tableCell, tableCaption.
  *
+ * @param {HastOptions | null | undefined} [options]
+ *   Configuration.
  * @returns {Handlers}
  *   hast handlers.
  */
-export function gfmTableHastHandlers(): Handlers {
+export function gfmTableHastHandlers(
+  options?: HastOptions | null | undefined
+): Handlers {
+  const settings = options ?? {}
+  const prefix = settings.tableIdPrefix ?? 'table-'
+  const scroll = settings.tableScroll
+  const stack = settings.tableStackColumns
+  const associations = new WeakMap<TableCell, HastProperties>()
+  const counts = new WeakMap<State, number>()
+  const extended = [
+    settings.tableHeaders,
+    settings.tableDataLabels,
+    scroll,
+    stack
+  ].some(Boolean)
+
   return {
-    table,
+    table: extended ? tableWithOptions : table,
     tableHead: table,
     tableBody: table,
+    tableFoot: table,
     tableRow: table,
-    tableCell
+    tableCell: extended ? tableCellWithProperties : tableCell,
+    tableCaption
+  }
+
+  /**
+   * Turn an mdast `table` node into hast, associating its cells first, and
+   * maybe stacking or wrapping it.
+   *
+   * @param {State} state
+   *   Info passed around.
+   * @param {Table} node
+   *   mdast node.
+   * @param {MdastParents} [parent]
+   *   Parent of `node`.
+   * @returns {HastElementContent}
+   *   hast node.
+   */
+  function tableWithOptions(
+    state: State,
+    node: Table,
+    parent?: MdastParents
+  ): HastElementContent {
+    const rows = tableToGrid(node).rows
+    const width = rows[0]?.cells.length ?? 0
+
+    if (stack && width >= stack) {
+      return stacked(state, node, rows)
+    }
+
+    if (settings.tableHeaders) {
+      const count = (counts.get(state) ?? 0) + 1
+      counts.set(state, count)
+      associate(rows, count)
+    }
+
+    if (settings.tableDataLabels) {
+      for (const [cell, label] of labelCells(rows)) {
+        if (cell.data?.hName !== 'th') assign(cell, {dataLabel: label})
+      }
+    }
+
+    const result = table(state, node, parent)
+    if (!scroll) return result
+
+    return {
+      type: 'element',
+      tagName: 'div',
+      properties: {
+        className: [typeof scroll === 'string' ? scroll : 'table-scroll']
+      },
+      children: state.wrap([result], true)
+    }
+  }
+
+  /**
+   * Turn an mdast `tableCell` node into hast, with its `id`, `headers`, or
+   * `data-label`.
+   *
+   * @param {State} state
+   *   Info passed around.
+   * @param {TableCell} node
+   *   mdast node.
+   * @returns {HastElementContent}
+   *   hast node.
+   */
+  function tableCellWithProperties(
+    state: State,
+    node: TableCell
+  ): HastElementContent {
+    const result = applyData(state, node, false)
+    const properties = associations.get(node)
+    if (properties) Object.assign(result.properties, properties)
+    return result
+  }
+
+  /**
+   * Add properties to the hast element of a cell.
+   *
+   * @param {TableCell} cell
+   *   mdast cell.
+   * @param {HastProperties} properties
+   *   Properties to add.
+   * @returns {undefined}
+   *   Nothing.
+   */
+  function assign(cell: TableCell, properties: HastProperties): undefined {
+    associations.set(cell, {...associations.get(cell), ...properties})
+  }
+
+  /**
+   * Turn an mdast `table` node into a `<div>` with a `<dl>` per row that has
+   * data cells; each cell becomes a `<dd>` after a `<dt>` with its label.
+   *
+   * Cells that span rows are repeated in each row.
+   *
+   * @param {State} state
+   *   Info passed around.
+   * @param {Table} node
+   *   mdast node.
+   * @param {Array<GridRow>} rows
+   *   Grid of `node`.
+   * @returns {HastElement}
+   *   hast node.
+   */
+  function stacked(
+    state: State,
+    node: Table,
+    rows: Array<GridRow>
+  ): HastElement {
+    const labels = labelCells(rows)
+    const children: Array<HastElementContent> = []
+
+    for (const child of node.children) {
+      if (child.type !== 'tableCaption') continue
+      const caption = applyData(state, child, false)
+      caption.tagName = 'p'
+      children.push(caption)
+    }
+
+    for (const row of rows) {
+      if (isHeaderRow(row)) continue
+      const items: Array<HastElementContent> = []
+
+      for (const slot of row.cells) {
+        if (!slot || slot.column > 0) continue
+        const label = labels.get(slot.cell)
+
+        if (label) {
+          items.push({
+            type: 'element',
+            tagName: 'dt',
+            properties: {},
+            children: [{type: 'text', value: label}]
+          })
+        }
+
+        items.push({
+          type: 'element',
+          tagName: 'dd',
+          properties: {},
+          children: state.all(slot.cell)
+        })
+      }
+
+      children.push({
+        type: 'element',
+        tagName: 'dl',
+        properties: {},
+        children: state.wrap(items, true)
+      })
+    }
+
+    const result: HastElement = {
+      type: 'element',
+      tagName: 'div',
+      properties: {className: ['table-stack']},
+      children: state.wrap(children, true)
+    }
+    state.patch(node, result)
+    return result
+  }
+
+  /**
+   * Give the header cells of a table an `id` and its data cells `headers`.
+   *
+   * @param {Array<GridRow>} rows
+   *   Grid of the table.
+   * @param {number} count
+   *   Number of the table in the document.
+   * @returns {undefined}
+   *   Nothing.
+   */
+  function associate(rows: Array<GridRow>, count: number): undefined {
+    const ids = new Map<TableCell, string>()
+
+    for (const [rowIndex, row] of rows.entries()) {
+      for (const [columnIndex, slot] of row.cells.entries()) {
+        if (!slot?.origin) continue
+        if (slot.cell.data?.hName !== 'th') continue
+        const id = slot.cell.data.hProperties?.id
+        const value =
+          typeof id === 'string'
+            ? id
+            : `${prefix}${count}-${rowIndex + 1}-${columnIndex + 1}`
+        ids.set(slot.cell, value)
+        assign(slot.cell, {id: value})
+      }
+    }
+
+    for (const [rowIndex, row] of rows.entries()) {
+      for (const [columnIndex, slot] of row.cells.entries()) {
+        if (!slot?.origin) continue
+        if (ids.has(slot.cell)) continue
+        const columns: Array<number> = []
+        const rowIndexes: Array<number> = []
+        let index = columnIndex
+
+        while (row.cells[index]?.cell === slot.cell) columns.push(index++)
+        index = rowIndex
+        while (rows[index]?.cells[columnIndex]?.cell === slot.cell) {
+          rowIndexes.push(index++)
+        }
+
+        const headers = new Set([
+          ...headersAbove(rows, rowIndex, columns, ids),
+          ...headersBefore(rows, rowIndexes, columnIndex, ids)
+        ])
+
+        if (headers.size > 0) {
+          assign(slot.cell, {headers: [...headers]})
+        }
+      }
+    }
   }
 }
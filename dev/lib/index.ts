@@ -6,28 +6,71 @@ import {
   type State,
   type Info
 } from 'mdast-util-to-markdown'
-import type {InlineCode, Parents, Root, Text, AlignType} from 'mdast'
 import type {
-  CompileContext,
-  Extension as FromMarkdownExtension,
-  Token
+  InlineCode,
+  Nodes,
+  Paragraph,
+  Parents,
+  Root,
+  Text,
+  AlignType
+} from 'mdast'
+import {
+  type CompileContext,
+  type Extension as FromMarkdownExtension,
+  type Token,
+  fromMarkdown
 } from 'mdast-util-from-markdown'
+import type {Point} from 'unist'
 import {markdownTable} from './markdown.js'
 import {
+  mergeProperties,
+  serializeAttributes,
+  splitAttributes
+} from './attributes.js'
+import {computeFormulas} from './formula.js'
+import {type GridRow, span, tableToGrid} from './grid.js'
+import {
+  type LineInfo,
+  gridTable,
+  parseGridTable,
+  parseLines
+} from './grid-table.js'
+import {
+  type FromMarkdownOptions,
+  type HastProperties,
   type Options,
   type Table,
+  type TableCaption,
   type TableCell,
+  type TableFoot,
+  type TableHead,
   type TableRow,
+  type WarningRule,
   mdastTypes
 } from './types.js'
+import {hasFlow} from './util.js'
+
+const delimiterExpression = /^:?-+:?$/
 
 /**
  * Create an extension for `mdast-util-from-markdown` to enable GFM tables in
  * markdown.
+ *
+ * @param {FromMarkdownOptions | null | undefined} [options]
+ *   Configuration.
  * @returns {FromMarkdownExtension}
  *   Extension for `mdast-util-from-markdown` to enable GFM tables.
  */
-export function gfmTableFromMarkdown(): FromMarkdownExtension {
+export function gfmTableFromMarkdown(
+  options?: FromMarkdownOptions | null | undefined
+): FromMarkdownExtension {
+  const settings = options ?? {}
+  const gridExit = {paragraph: exitParagraph}
+  const widthExit = {tableDelimiterRow: exitDelimiterRow}
+  // Source of cells, to parse multiline rows and find delimiter rows.
+  const sources = new WeakMap<TableCell, LineInfo>()
+
   return {
     enter: {
       table: enterTable,
@@ -43,16 +86,20 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
     exit: {
       codeText: exitCodeText,
       table: exitTable,
-      tableData: exit,
+      tableData: exitCell,
       tableRow: exit,
       tableBody: exitSection,
       tableHead: exitSection,
-      tableHeader: exit,
+      tableHeader: exitCell,
       tableColspanLeftMarker: exit,
       tableColspanRightMarker: exit,
-      tableRowspanMarker: exit
+      tableRowspanMarker: exit,
+      ...(settings.tableGrid ? gridExit : undefined),
+      ...(settings.tableWidths ? widthExit : undefined)
     },
-    transforms: [transformTable]
+    transforms: settings.tableFormulas
+      ? [transformTable, transformFormulas]
+      : [transformTable]
   }
 
   function enterTable(this: CompileContext, token: Token) {
@@ -60,24 +107,47 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
     const align = token._align.map(function (d) {
       return d === 'none' ? null : d
     })
-    this.enter(
-      {
-        type: 'table',
-        align,
-        children: [],
-        data: {
-          hName: 'table'
-        }
-      },
-      token
-    )
+    const table: Table = {
+      type: 'table',
+      align,
+      children: [],
+      data: {
+        hName: 'table'
+      }
+    }
+    if (settings.tableProperties) {
+      table.data = {
+        ...table.data,
+        tableProperties: structuredClone(settings.tableProperties)
+      }
+    }
+
+    this.enter(table, token)
     this.data.inTable = true
     this.data.tableCols = align.length
   }
 
   function exitTable(this: CompileContext, token: Token) {
+    const node = this.stack[this.stack.length - 1]
+    const dashes = this.data.tableDashes ?? []
+    const total = dashes.reduce((a, b) => a + b, 0)
     this.exit(token)
     this.data.inTable = undefined
+    this.data.tableDashes = undefined
+
+    if (total > 0 && node.type === 'table') {
+      node.data = {...node.data, tableWidths: dashes.map((d) => d / total)}
+    }
+  }
+
+  function exitDelimiterRow(this: CompileContext, token: Token) {
+    // Only the first delimiter row sets the widths.
+    this.data.tableDashes ??= this.sliceSerialize(token)
+      .trim()
+      .replace(/^\|/, '')
+      .replace(/\|$/, '')
+      .split('|')
+      .map((d) => d.replaceAll(/[^-]/g, '').length)
   }
 
   function enterRow(this: CompileContext, token: Token) {
@@ -92,6 +162,30 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
     this.enter({type: 'tableCell', children: [], data: {hName: 'td'}}, token)
   }
 
+  function exitCell(this: CompileContext, token: Token) {
+    const node = this.stack[this.stack.length - 1]
+    this.exit(token)
+
+    if (
+      (Boolean(settings.tableMultiline) || Boolean(settings.tableFoot)) &&
+      node.type === 'tableCell'
+    ) {
+      const value = this.sliceSerialize(token)
+      // Depending on the syntax extension, cells include their delimiters.
+      const skip = value.startsWith('|') ? 1 : 0
+      const offset = token.start.offset
+
+      sources.set(node, {
+        value: value.slice(skip).replace(/(?<!\\)\|[ \t]*$/, ''),
+        start: {
+          line: token.start.line,
+          column: token.start.column + skip,
+          offset: offset === undefined ? undefined : offset + skip
+        }
+      })
+    }
+  }
+
   function enterHead(this: CompileContext, token: Token) {
     this.enter(
       {
@@ -124,19 +218,28 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
 
   function enterColspanRightMarker(this: CompileContext, token: Token) {
     if (this.data.inTableCell) {
-      this.enter({type: 'tableColspanRight'}, token)
+      this.enter(
+        {type: 'tableColspanRight', value: this.sliceSerialize(token)},
+        token
+      )
     }
   }
 
   function enterColspanLeftMarker(this: CompileContext, token: Token) {
     if (this.data.inTableCell) {
-      this.enter({type: 'tableColspanLeft'}, token)
+      this.enter(
+        {type: 'tableColspanLeft', value: this.sliceSerialize(token)},
+        token
+      )
     }
   }
 
   function enterRowspanMarker(this: CompileContext, token: Token) {
     if (this.data.inTableCell) {
-      this.enter({type: 'tableRowspan'}, token)
+      this.enter(
+        {type: 'tableRowspan', value: this.sliceSerialize(token)},
+        token
+      )
     }
   }
 
@@ -155,6 +258,62 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
     this.exit(token)
   }
 
+  // Overwrite the default paragraph handler to turn grid tables, which are
+  // parsed as paragraphs, into tables.
+  function exitParagraph(this: CompileContext, token: Token) {
+    const node = this.stack[this.stack.length - 1]
+    this.exit(token)
+    const parent = this.stack[this.stack.length - 1]
+    assert('children' in parent, 'expected parent')
+    let value = this.sliceSerialize(token)
+    let properties: HastProperties | undefined
+
+    // A last line with only a block holds the attributes of the table.
+    if (settings.tableAttributes) {
+      const index = value.lastIndexOf('\n')
+      const split = splitAttributes(value.slice(index + 1))
+
+      if (index > 0 && split && !split[0].trim()) {
+        value = value.slice(0, index)
+        properties = split[1]
+      }
+    }
+
+    const table = parseGridTable(
+      value,
+      {
+        line: token.start.line,
+        column: token.start.column,
+        offset: token.start.offset
+      },
+      parseCell
+    )
+
+    if (table) {
+      if (settings.tableProperties) {
+        table.data = {
+          ...table.data,
+          tableProperties: structuredClone(settings.tableProperties)
+        }
+      }
+
+      if (properties) setProperties(table, properties)
+      assert(node.type === 'paragraph', 'expected paragraph')
+      const children: Array<Nodes> = parent.children
+      parent.children[children.indexOf(node)] = table
+    }
+  }
+
+  function parseCell(value: string) {
+    return fromMarkdown(value, {
+      extensions: settings.tableExtensions,
+      mdastExtensions: [
+        ...(settings.tableMdastExtensions ?? []),
+        {exit: gridExit}
+      ]
+    }).children
+  }
+
   function exitSection(this: CompileContext, token: Token) {
     this.exit(token)
     this.data.inTableCell = undefined
@@ -177,7 +336,7 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
       const toBeDeleted: Array<[number, number]> = []
       const rows = table.children[m]
       /* c8 ignore next */
-      if (rows.type === 'tableRow') continue
+      if (rows.type === 'tableRow' || rows.type === 'tableCaption') continue
       for (let i = rows.children.length - 1; i >= 0; i--) {
         const row = rows.children[i]
         for (let j = row.children.length - 1; j >= 0; j--) {
@@ -186,14 +345,25 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
             /* c8 ignore next 2 */
             const data = cell.data ?? (cell.data = {})
             const properties = data.hProperties ?? (data.hProperties = {})
-            properties.align = align[j]
+            // An `align` in an attribute block wins.
+            properties.align ??= align[j]
           }
 
           if (cell.children.length !== 1) continue
 
+          if (!spanEnabled(cell.children[0])) {
+            marker2text(cell, true)
+            continue
+          }
+
           switch (cell.children[0].type) {
             case mdastTypes.tableColspanRight: {
               if (j >= row.children.length - 1) {
+                warn(
+                  'Unexpected colspan marker `>` in the last column, expected a cell after it',
+                  cell,
+                  'dangling-colspan'
+                )
                 marker2text(cell)
                 break
               }
@@ -214,6 +384,11 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
 
             case mdastTypes.tableRowspan: {
               if (i < 1) {
+                warn(
+                  'Unexpected rowspan marker `^` in the first row, expected a row above it',
+                  cell,
+                  'dangling-rowspan'
+                )
                 marker2text(cell)
                 break
               }
@@ -230,6 +405,20 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
 
             case mdastTypes.tableColspanLeft: {
               if (j < 1 || isCellColspanRight(row.children[j - 1])) {
+                if (j < 1) {
+                  warn(
+                    'Unexpected colspan marker `<` in the first column, expected a cell before it',
+                    cell,
+                    'dangling-colspan'
+                  )
+                } else {
+                  warn(
+                    'Unexpected colspan marker `<` after `>`, expected a cell between them',
+                    cell,
+                    'conflicting-colspan'
+                  )
+                }
+
                 // Behave as a normal empty cell when conflicting with colspanWithRight marker
                 marker2text(cell)
                 break
@@ -261,25 +450,530 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
   }
 
   function transformTable(tree: Root): Root {
+    visit(tree, 'table', (node: Table, index, parent) => {
+      let next: number | undefined
+
+      // Move a paragraph before or after the table into its caption
+      if (settings.tableCaption && parent && index !== undefined) {
+        next = captionTable(node, index, parent)
+      }
+
+      // Grid tables are complete when parsed, pipe tables are not
+      if (node.data?.tableFormat !== 'grid') {
+        resolvePipeTable(node)
+      }
+
+      // Mark column and row headers
+      scopeHeaders(node)
+
+      if (settings.onWarning) {
+        checkSpans(node)
+      }
+
+      return next
+    })
+    return tree
+  }
+
+  function transformFormulas(tree: Root): Root {
     visit(tree, 'table', (node: Table) => {
-      // Create empty cell node
-      if (node.align) {
-        for (const rows of node.children) {
-          /* c8 ignore next */
-          if (rows.type === 'tableRow') continue
-          for (const row of rows.children) {
-            const currSize = row.children.length
-            for (let i = 0; i < node.align.length - currSize; i++) {
-              row.children.push(makeCell())
+      computeFormulas(node, warn)
+    })
+    return tree
+  }
+
+  function resolvePipeTable(table: Table) {
+    // Merge rows above the delimiter row into one head
+    mergeHead(table)
+
+    // Move rows below a second delimiter row into a foot
+    if (settings.tableFoot) {
+      splitFoot(table)
+    }
+
+    // Take attribute blocks in a line after the table and in extra cells at
+    // the end of rows
+    if (settings.tableAttributes) {
+      tableAttributes(table)
+      rowAttributes(table)
+    }
+
+    // Join rows ending in `\` with the rows after them
+    if (settings.tableMultiline) {
+      joinRows(table)
+    }
+
+    // Take attribute blocks at the end of cells
+    if (settings.tableAttributes) {
+      cellAttributes(table)
+    }
+
+    // Create empty cell node
+    if (table.align) {
+      for (const rows of table.children) {
+        /* c8 ignore next */
+        if (rows.type === 'tableRow' || rows.type === 'tableCaption') {
+          continue
+        }
+
+        for (const row of rows.children) {
+          const currSize = row.children.length
+          if (currSize > table.align.length) {
+            warn(
+              `Unexpected row with ${currSize} cells, expected ${table.align.length} as in the delimiter row, cells after it are dropped in HTML`,
+              row,
+              'ragged-row'
+            )
+          }
+
+          for (let i = 0; i < table.align.length - currSize; i++) {
+            row.children.push(makeCell())
+          }
+        }
+      }
+    }
+
+    // Take the cells covered by spans from attribute blocks, which are in
+    // their columns until span markers are processed
+    const covered = settings.tableAttributes ? coveredCells(table) : undefined
+
+    // Process span markers
+    processSpanMarkers(table)
+
+    if (covered) removeCells(table, covered)
+  }
+
+  function captionTable(table: Table, index: number, parent: Parents) {
+    const before = parent.children[index - 1]
+    const after = parent.children[index + 1]
+    let caption: TableCaption | undefined
+
+    if (before && before.type === 'paragraph') {
+      caption = toCaption(before)
+      if (caption) {
+        parent.children.splice(--index, 1)
+      }
+    }
+
+    if (!caption && after && after.type === 'paragraph') {
+      caption = toCaption(after)
+      if (caption) {
+        parent.children.splice(index + 1, 1)
+      }
+    }
+
+    if (caption) {
+      table.children.unshift(caption)
+    }
+
+    return index + 1
+  }
+
+  function toCaption(node: Paragraph): TableCaption | undefined {
+    const head = node.children[0]
+    const tail = node.children[node.children.length - 1]
+    if (head.type !== 'text') return
+    const children = node.children.slice()
+    const match = /^(?:table)?:[ \t]*/i.exec(head.value)
+
+    if (match) {
+      children[0] = {...head, value: head.value.slice(match[0].length)}
+    } else if (
+      head.value.startsWith('[') &&
+      tail.type === 'text' &&
+      tail.value.endsWith(']')
+    ) {
+      children[0] = {...head, value: head.value.slice(1)}
+      const last = children[children.length - 1]
+      assert(last.type === 'text')
+      children[children.length - 1] = {...last, value: last.value.slice(0, -1)}
+    } else {
+      return
+    }
+
+    return {
+      type: 'tableCaption',
+      children: children.filter((d) => d.type !== 'text' || d.value !== ''),
+      data: {hName: 'caption'},
+      position: node.position
+    }
+  }
+
+  function warn(reason: string, node: Nodes, ruleId: WarningRule): undefined {
+    if (settings.onWarning) {
+      settings.onWarning(reason, {
+        place: node.position,
+        ruleId,
+        source: 'mdast-util-gfm-table'
+      })
+    }
+  }
+
+  function checkSpans(table: Table) {
+    const owned = new Map<TableCell, number>()
+
+    for (const row of tableToGrid(table).rows) {
+      for (const slot of row.cells) {
+        if (slot) owned.set(slot.cell, (owned.get(slot.cell) ?? 0) + 1)
+      }
+    }
+
+    for (const rows of table.children) {
+      /* c8 ignore next */
+      if (rows.type === 'tableRow' || rows.type === 'tableCaption') continue
+
+      for (const [rowIndex, row] of rows.children.entries()) {
+        for (const cell of row.children) {
+          const size =
+            span(cell, 'colspan') *
+            Math.min(span(cell, 'rowspan'), rows.children.length - rowIndex)
+
+          if ((owned.get(cell) ?? 0) < size) {
+            warn(
+              'Unexpected cell spanning over slots taken by another cell',
+              cell,
+              'overlapping-span'
+            )
+          }
+        }
+      }
+    }
+  }
+
+  function scopeHeaders(table: Table) {
+    const rowHeaders = settings.tableRowHeaders ?? 0
+
+    for (const row of tableToGrid(table).rows) {
+      const head = row.section?.type === 'tableHead'
+      /* c8 ignore next */
+      if (!row.section) continue
+      if (head ? !settings.tableHeaderScope : rowHeaders < 1) continue
+
+      for (const [columnIndex, slot] of row.cells.entries()) {
+        if (!slot?.origin) continue
+        if (!head && columnIndex >= rowHeaders) break
+        /* c8 ignore next 2 */
+        const data = slot.cell.data ?? (slot.cell.data = {})
+        const properties = data.hProperties ?? (data.hProperties = {})
+
+        if (head) {
+          properties.scope = span(slot.cell, 'colspan') > 1 ? 'colgroup' : 'col'
+        } else {
+          data.hName = 'th'
+          properties.scope = span(slot.cell, 'rowspan') > 1 ? 'rowgroup' : 'row'
+        }
+      }
+    }
+  }
+
+  function mergeHead(table: Table) {
+    let head: TableHead | undefined
+    let index = -1
+
+    while (++index < table.children.length) {
+      const child = table.children[index]
+      if (child.type === 'tableBody') break
+      if (child.type !== 'tableHead') continue
+
+      if (head) {
+        head.children.push(...child.children)
+        if (head.position && child.position) {
+          head.position.end = child.position.end
+        }
+
+        table.children.splice(index--, 1)
+      } else {
+        head = child
+      }
+    }
+  }
+
+  function splitFoot(table: Table) {
+    const index = table.children.findIndex((d) => d.type === 'tableBody')
+    if (index < 0) return
+    const body = table.children[index]
+    assert(body.type === 'tableBody')
+    const rowIndex = body.children.findIndex((row) => isDelimiterRow(row))
+    if (rowIndex < 0 || rowIndex === body.children.length - 1) return
+    const delimiter = body.children[rowIndex]
+    const rows = body.children.splice(rowIndex)
+    rows.shift()
+    const foot: TableFoot = {
+      type: 'tableFoot',
+      cols: body.cols,
+      children: rows,
+      data: {hName: 'tfoot'}
+    }
+
+    if (delimiter.position && body.position) {
+      foot.position = {
+        start: delimiter.position.start,
+        end: body.position.end
+      }
+    }
+
+    if (rowIndex === 0) {
+      table.children.splice(index, 1, foot)
+    } else {
+      const previous = body.children[rowIndex - 1]
+      if (previous.position && body.position) {
+        body.position.end = previous.position.end
+      }
+
+      table.children.splice(index + 1, 0, foot)
+    }
+  }
+
+  function joinRows(table: Table) {
+    const width = table.align ? table.align.length : 0
+
+    for (const section of table.children) {
+      /* c8 ignore next */
+      if (section.type === 'tableRow' || section.type === 'tableCaption') {
+        continue
+      }
+
+      const rows: Array<TableRow> = []
+      let lines: Array<TableRow> = []
+
+      for (const row of section.children) {
+        const tail = row.children[row.children.length - 1]
+        const head = tail?.children[0]
+        lines.push(row)
+
+        // A row continues when it has an extra cell with only `\`.
+        if (
+          row.children.length > width &&
+          tail.children.length === 1 &&
+          head.type === 'text' &&
+          head.value.trim() === '\\'
+        ) {
+          row.children.pop()
+          continue
+        }
+
+        rows.push(joinLines(lines))
+        lines = []
+      }
+
+      if (lines.length > 0) rows.push(joinLines(lines))
+      section.children = rows
+    }
+  }
+
+  function joinLines(lines: Array<TableRow>): TableRow {
+    const row = lines[0]
+    const last = lines[lines.length - 1]
+    const size = Math.max(...lines.map((d) => d.children.length))
+    let index = -1
+
+    if (lines.length === 1) return row
+
+    while (++index < size) {
+      const cell = row.children[index] ?? makeCell()
+      const values: Array<LineInfo> = []
+      let end: Point | undefined
+
+      for (const line of lines) {
+        values.push(cellSource(line, index))
+        end = line.children[index]?.position?.end ?? end
+      }
+
+      row.children[index] = cell
+
+      // Keep cells, such as span markers, that are not continued.
+      if (values.slice(1).every((d) => !d.value.trim())) continue
+
+      cell.children = parseLines(values, parseCell)
+      if (cell.position && end) cell.position.end = end
+    }
+
+    if (row.position && last.position) {
+      row.position.end = last.position.end
+    }
+
+    for (const line of lines) {
+      const properties = line.data?.hProperties
+      if (line !== row && properties) setProperties(row, properties)
+    }
+
+    return row
+  }
+
+  function tableAttributes(table: Table) {
+    const section = table.children[table.children.length - 1]
+    /* c8 ignore next */
+    if (section.type === 'tableRow' || section.type === 'tableCaption') return
+    const row = section.children[section.children.length - 1]
+    const head = row?.children[0]?.children[0]
+
+    // The table has attributes in a last row with only a block.
+    if (
+      row?.children.length !== 1 ||
+      row.children[0].children.length !== 1 ||
+      head.type !== 'text'
+    ) {
+      return
+    }
+
+    const split = splitAttributes(head.value)
+    if (!split || split[0].trim()) return
+    section.children.pop()
+    setProperties(table, split[1])
+
+    const previous = section.children[section.children.length - 1]
+
+    if (previous) {
+      if (section.position && previous.position) {
+        section.position.end = previous.position.end
+      }
+    } else {
+      table.children.pop()
+    }
+
+    const last = table.children[table.children.length - 1]
+    if (table.position && last.position) table.position.end = last.position.end
+  }
+
+  function rowAttributes(table: Table) {
+    const width = table.align ? table.align.length : 0
+
+    for (const section of table.children) {
+      /* c8 ignore next */
+      if (section.type === 'tableRow' || section.type === 'tableCaption') {
+        continue
+      }
+
+      for (const row of section.children) {
+        const tail = row.children[row.children.length - 1]
+        const head = tail?.children[0]
+
+        // A row has attributes in an extra cell with only a block.
+        if (
+          row.children.length > width &&
+          tail.children.length === 1 &&
+          head.type === 'text'
+        ) {
+          const split = splitAttributes(head.value)
+
+          if (split && !split[0].trim()) {
+            row.children.pop()
+            setProperties(row, split[1])
+          }
+        }
+      }
+    }
+  }
+
+  function cellAttributes(table: Table) {
+    for (const section of table.children) {
+      /* c8 ignore next */
+      if (section.type === 'tableRow' || section.type === 'tableCaption') {
+        continue
+      }
+
+      for (const row of section.children) {
+        for (const cell of row.children) {
+          // Flow content has the block at the end of its last paragraph.
+          const children: Array<Nodes> = cell.children
+          const last = children[children.length - 1]
+          const parent: Parents = last?.type === 'paragraph' ? last : cell
+          const tail = parent.children[parent.children.length - 1]
+          const split = tail?.type === 'text' && splitAttributes(tail.value)
+          if (!split || tail.type !== 'text') continue
+          tail.value = split[0].trimEnd()
+
+          if (!tail.value) {
+            parent.children.pop()
+            if (parent.children.length === 0) children.pop()
+          }
+
+          setProperties(cell, split[1])
+
+          const {colspan, rowspan} = split[1]
+          if (typeof colspan === 'number') cell.colspan = colspan
+          if (typeof rowspan === 'number') cell.rowspan = rowspan
+        }
+      }
+    }
+  }
+
+  function coveredCells(table: Table): Set<TableCell> {
+    const covered = new Set<TableCell>()
+
+    for (const section of table.children) {
+      /* c8 ignore next */
+      if (section.type === 'tableRow' || section.type === 'tableCaption') {
+        continue
+      }
+
+      for (const [rowIndex, row] of section.children.entries()) {
+        for (const [cellIndex, cell] of row.children.entries()) {
+          if (covered.has(cell)) continue
+          const colspan = span(cell, 'colspan')
+          const rowspan = span(cell, 'rowspan')
+
+          for (let y = 0; y < rowspan; y++) {
+            for (let x = y === 0 ? 1 : 0; x < colspan; x++) {
+              const other: TableCell | undefined =
+                section.children[rowIndex + y]?.children[cellIndex + x]
+              if (!other) continue
+
+              if (other.children.length > 0) {
+                warn(
+                  'Unexpected content in a cell covered by a span from an attribute block, it is dropped',
+                  other,
+                  'overlapping-span'
+                )
+              }
+
+              covered.add(other)
             }
           }
         }
       }
+    }
 
-      // Process span markers
-      processSpanMarkers(node)
-    })
-    return tree
+    return covered
+  }
+
+  function removeCells(table: Table, cells: Set<TableCell>) {
+    for (const section of table.children) {
+      /* c8 ignore next */
+      if (section.type === 'tableRow' || section.type === 'tableCaption') {
+        continue
+      }
+
+      for (const row of section.children) {
+        row.children = row.children.filter((d) => !cells.has(d))
+      }
+    }
+  }
+
+  function setProperties(
+    node: Table | TableCell | TableRow,
+    properties: HastProperties
+  ) {
+    const data = node.data ?? (node.data = {})
+    data.hProperties = mergeProperties(data.hProperties, properties)
+  }
+
+  function cellSource(row: TableRow, index: number): LineInfo {
+    const cell = row.children[index]
+    const source = cell ? sources.get(cell) : undefined
+    /* c8 ignore next */
+    const start = row.position?.end ?? {line: 1, column: 1}
+    return source ?? {value: '', start}
+  }
+
+  function isDelimiterRow(row: TableRow): boolean {
+    // The source is checked, as `\-` is text too.
+    return (
+      row.children.length > 0 &&
+      row.children.every((_, index) =>
+        delimiterExpression.test(cellSource(row, index).value.trim())
+      )
+    )
   }
 
   function makeCell(): TableCell {
@@ -290,14 +984,41 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
     }
   }
 
-  function marker2text(cell: TableCell) {
+  function spanEnabled(node: Nodes): boolean {
+    const multiMarkdown = settings.tableDialect === 'multimarkdown'
+
+    switch (node.type) {
+      case mdastTypes.tableColspanRight: {
+        return !multiMarkdown && settings.tableColspanRight !== false
+      }
+
+      case mdastTypes.tableRowspan: {
+        return !multiMarkdown && settings.tableRowspan !== false
+      }
+
+      case mdastTypes.tableColspanLeft: {
+        // MultiMarkdown only spans with empty cells without whitespace (`||`).
+        return (
+          (!multiMarkdown || node.value === '') &&
+          settings.tableColspanLeft !== false
+        )
+      }
+
+      default: {
+        return true
+      }
+    }
+  }
+
+  function marker2text(cell: TableCell, source?: boolean) {
     /* c8 ignore next 3 */
     if (cell.children.length !== 1) {
       return
     }
 
+    const head = cell.children[0]
     let text = ''
-    switch (cell.children[0].type) {
+    switch (head.type) {
       case mdastTypes.tableColspanRight: {
         text = '>'
         break
@@ -319,6 +1040,11 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
       }
     }
 
+    // Keep disabled markers as they were written.
+    if (source && 'value' in head && typeof head.value === 'string') {
+      text = head.value
+    }
+
     if (text === '') {
       cell.children.splice(0, 1)
     } else {
@@ -338,7 +1064,7 @@ export function gfmTableFromMarkdown(): FromMarkdownExtension {
     }
 
     const cellContent = cell.children[0]
-    return cellContent.type === 'tableColspanRight'
+    return cellContent.type === 'tableColspanRight' && spanEnabled(cellContent)
   }
 }
 
@@ -358,6 +1084,11 @@ export function gfmTableToMarkdown(
   const padding = settings.tableCellPadding
   const alignDelimiters = settings.tablePipeAlign
   const stringLength = settings.stringLength
+  const multiMarkdown = settings.tableDialect === 'multimarkdown'
+  const colspanMarker = multiMarkdown
+    ? '||'
+    : settings.tableColspanMarker ?? '<'
+  const spans = settings.tableSpans !== false
   const around = padding ? ' ' : '|'
 
   return {
@@ -393,8 +1124,28 @@ export function gfmTableToMarkdown(
     state: State,
     info: Info
   ): string {
-    const matrix = handleTableAsData(node, state, info)
-    return serializeData(matrix.data, node.align, matrix.headIndex)
+    let value: string
+
+    if (isGridTable(node)) {
+      value = handleTableAsGrid(node, state, info)
+    } else {
+      const matrix = handleTableAsData(node, state, info)
+      value = serializeData(matrix.data, node.align, matrix)
+    }
+
+    const attributes = attributesOf(node)
+    if (attributes) value += '\n' + attributes
+
+    const caption = node.children.find((d) => d.type === 'tableCaption')
+
+    if (caption && caption.type === 'tableCaption') {
+      const text = handleTableCaption(caption, state, info)
+      return (
+        (multiMarkdown ? '[' + text + ']' : 'Table: ' + text) + '\n\n' + value
+      )
+    }
+
+    return value
   }
 
   /**
@@ -414,8 +1165,20 @@ export function gfmTableToMarkdown(
   ): string {
     const row = handleTableRowAsData(node, state, info)
     const value = serializeData([row])
+    const attributes = attributesOf(node)
     // `markdown-table` will always add an align row
-    return value.slice(0, value.indexOf('\n'))
+    return (
+      value.slice(0, value.indexOf('\n')) + (attributes ? ' ' + attributes : '')
+    )
+  }
+
+  function attributesOf(
+    node: Table | TableRow | TableCell,
+    align?: AlignType | undefined
+  ): string {
+    return settings.tableAttributes
+      ? serializeAttributes(node.data?.hProperties, align)
+      : ''
   }
 
   function handleTableCell(
@@ -423,41 +1186,254 @@ export function gfmTableToMarkdown(
     _: Parents | undefined,
     state: State,
     info: Info
+  ): string {
+    return serializeCell(node, state, info)
+  }
+
+  /**
+   * Serialize a cell, with its attributes.
+   *
+   * @param {TableCell} node
+   * @param {State} state
+   * @param {Info} info
+   * @param {AlignType | undefined} [align]
+   *   Alignment of the column of the cell, which its `align` is not written
+   *   for.
+   * @returns {string}
+   */
+  function serializeCell(
+    node: TableCell,
+    state: State,
+    info: Info,
+    align?: AlignType | undefined
   ): string {
     const exit = state.enter('tableCell')
+    node = withFormula(node)
+
+    const attributes = attributesOf(node, align)
+    let value: string
+
+    // Flow content is split over continued rows.
+    if (settings.tableMultiline && hasFlow(node)) {
+      const tail = node.children[node.children.length - 1]
+      value = state.containerFlow({type: 'root', children: node.children}, info)
+      // Blocks other than paragraphs get the attributes in a paragraph after
+      // them.
+      if (attributes && tail.type !== 'paragraph') value += '\n\n'
+    } else {
+      const subexit = state.enter('phrasing')
+      value = state.containerPhrasing(node, {
+        ...info,
+        before: around,
+        after: attributes ? ' ' : around
+      })
+      subexit()
+    }
+
+    exit()
+    if (!attributes) return value
+    return (value && !value.endsWith('\n') ? value + ' ' : value) + attributes
+  }
+
+  function handleTableCaption(
+    node: TableCaption,
+    state: State,
+    info: Info
+  ): string {
+    const exit = state.enter('tableCaption')
     const subexit = state.enter('phrasing')
     const value = state.containerPhrasing(node, {
       ...info,
-      before: around,
-      after: around
+      before: ' ',
+      after: '\n'
     })
     subexit()
     exit()
     return value
   }
 
+  /**
+   * Check whether to write a table as a grid table: when its `tableFormat` or
+   * the `tableFormat` option says so, or when a cell holds flow content and
+   * multiline rows are off.
+   *
+   * @param {Table} node
+   * @returns {boolean}
+   */
+  function isGridTable(node: Table): boolean {
+    return (
+      (node.data?.tableFormat ?? settings.tableFormat) === 'grid' ||
+      (!settings.tableMultiline &&
+        tableToGrid(node).rows.some((row) =>
+          row.cells.some((slot) => slot && hasFlow(slot.cell))
+        ))
+    )
+  }
+
+  /**
+   * @param {Table} node
+   * @param {State} state
+   * @param {Info} info
+   * @returns {string}
+   */
+  function handleTableAsGrid(node: Table, state: State, info: Info): string {
+    const grid = tableToGrid(node)
+    const data: Array<Array<string>> = []
+    const colspan: Array<Array<number>> = []
+    const rowspan: Array<Array<number>> = []
+    const subexit = state.enter('table')
+    let headIndex = 0
+    let footIndex: number | undefined
+
+    for (const [index, row] of grid.rows.entries()) {
+      const subexit = state.enter('tableRow')
+      const values: Array<string> = []
+      colspan[index] = []
+      rowspan[index] = []
+
+      if (row.section?.type === 'tableHead') {
+        headIndex = index + 1
+      } else if (row.section?.type === 'tableFoot') {
+        footIndex ??= index
+      }
+
+      for (const [column, slot] of row.cells.entries()) {
+        values[column] = ''
+        if (!slot?.origin) continue
+        colspan[index][column] = span(slot.cell, 'colspan')
+        rowspan[index][column] = span(slot.cell, 'rowspan')
+        values[column] = handleGridCell(slot.cell, state, info)
+      }
+
+      data.push(values)
+      subexit()
+    }
+
+    subexit()
+    return gridTable(data, {
+      align: grid.align?.map((d) => d ?? ''),
+      colspan,
+      footIndex,
+      headIndex,
+      rowspan,
+      stringLength
+    })
+  }
+
+  /**
+   * Get a cell with its formula as content, if it has one and formulas are
+   * written.
+   *
+   * @param {TableCell} node
+   * @returns {TableCell}
+   */
+  function withFormula(node: TableCell): TableCell {
+    const formula = node.data?.tableFormula
+    if (!formula || settings.tableFormulas === 'value') return node
+    return {...node, children: [{type: 'text', value: formula}]}
+  }
+
+  /**
+   * Serialize a cell of a grid table, which can span several lines.
+   *
+   * @param {TableCell} node
+   * @param {State} state
+   * @param {Info} info
+   * @returns {string}
+   */
+  function handleGridCell(node: TableCell, state: State, info: Info): string {
+    node = withFormula(node)
+
+    if (hasFlow(node)) {
+      return state.containerFlow({type: 'root', children: node.children}, info)
+    }
+
+    const subexit = state.enter('phrasing')
+    const value = state.containerPhrasing(node, {
+      ...info,
+      before: '\n',
+      after: '\n'
+    })
+    subexit()
+    return value
+  }
+
   /**
    * @param {Array<Array<string>>} matrix
    * @param {Array<string | null | undefined> | null | undefined} [align]
-   * @param {number | undefined} [headIndex]
+   * @param {TableMatrix | undefined} [layout]
    */
   function serializeData(
     matrix: Array<Array<string>>,
     align?: Array<AlignType> | null | undefined,
-    headIndex?: number | undefined
+    layout?: TableMatrix | undefined
   ) {
-    return markdownTable(matrix, {
+    const value = markdownTable(matrix, {
       align,
       alignDelimiters,
       padding,
       stringLength,
-      headIndex
+      headIndex: layout?.headIndex,
+      footIndex: layout?.footIndex,
+      colspan: layout?.colspan,
+      widths: layout?.widths
     })
+
+    if (!layout) return value
+
+    const lines = value.split('\n')
+    const headIndex = layout.headIndex < 0 ? 1 : layout.headIndex
+    // Line of a data row, skipping the alignment rows.
+    const line = (index: number) =>
+      index +
+      (index >= headIndex ? 1 : 0) +
+      (layout.footIndex >= headIndex && index >= layout.footIndex ? 1 : 0)
+
+    // Mark rows continued on the next line.
+    for (const index of layout.continued) {
+      lines[line(index)] += padding === false ? '\\' : ' \\'
+    }
+
+    for (const [index, attributes] of layout.attributes) {
+      lines[line(index)] += ' ' + attributes
+    }
+
+    return lines.join('\n')
   }
 
   interface TableMatrix {
     headIndex: number
+    footIndex: number
     data: Array<Array<string>>
+    /**
+     * Rows continued on the next line, when cells span several lines.
+     */
+    continued: Array<number>
+    /**
+     * Attribute blocks of rows, written after them.
+     */
+    attributes: Map<number, string>
+    /**
+     * Columns spanned by each cell, when delimiters are used as colspan
+     * markers.
+     */
+    colspan?: Array<Array<number>> | undefined
+    /**
+     * Relative widths of the columns, if known.
+     */
+    widths?: Array<number> | undefined
+  }
+
+  interface RowColumns {
+    /**
+     * Alignment of the columns, against which that of cells is written.
+     */
+    align: Array<AlignType> | null | undefined
+    /**
+     * Columns spanned by each cell, filled when delimiters are colspan
+     * markers.
+     */
+    colspan: Array<number>
   }
 
   /**
@@ -471,26 +1447,49 @@ export function gfmTableToMarkdown(
     state: State,
     info: Info
   ): TableMatrix {
-    const secs = node.children
-    let index = -1
-    const result: TableMatrix = {headIndex: -1, data: []}
+    const result: TableMatrix = {
+      headIndex: -1,
+      footIndex: -1,
+      data: [],
+      continued: [],
+      attributes: new Map(),
+      widths: node.data?.tableWidths
+    }
     const subexit = state.enter('table')
-    for (const sec of secs) {
-      if (sec.type === 'tableRow') {
-        ++index
-        result.data[index] = handleTableRowAsData(sec, state, info)
-        continue
+
+    if (spans && colspanMarker === '||') {
+      result.colspan = []
+    }
+
+    for (const row of tableToGrid(node).rows) {
+      if (row.section?.type === 'tableFoot' && result.footIndex < 0) {
+        result.footIndex = result.data.length
       }
 
-      let j = -1
-      const children = sec.children
-      while (++j < children.length) {
-        ++index
-        result.data[index] = handleTableRowAsData(children[j], state, info)
+      const colspan: Array<number> = []
+      const cells = handleGridRowAsData(row, state, info, {
+        align: node.align,
+        colspan
+      }).map((d) => d.split('\n'))
+      const height = Math.max(1, ...cells.map((d) => d.length))
+      // Cells with flow content span several lines.
+      const lines = Array.from({length: height}, (_, line) =>
+        cells.map((d) => d[line] ?? '')
+      )
+
+      const attributes = attributesOf(row.row)
+
+      for (const [line, values] of lines.entries()) {
+        if (line < height - 1) result.continued.push(result.data.length)
+        // Attributes of rows go on their last line.
+        else if (attributes)
+          result.attributes.set(result.data.length, attributes)
+        result.data.push(values)
+        if (result.colspan) result.colspan.push(colspan)
       }
 
-      if (sec.type === 'tableHead') {
-        result.headIndex = index + 1
+      if (row.section?.type === 'tableHead') {
+        result.headIndex = result.data.length
       }
     }
 
@@ -498,6 +1497,90 @@ export function gfmTableToMarkdown(
     return result
   }
 
+  /**
+   * Serialize a row of the grid, writing span markers in the slots covered by
+   * `colspan` and `rowspan`.
+   *
+   * @param {GridRow} gridRow
+   * @param {State} state
+   * @param {Info} info
+   * @param {RowColumns} columns
+   *   Alignment of the columns, and columns spanned by each cell.
+   * @returns {Array<string>}
+   */
+  function handleGridRowAsData(
+    gridRow: GridRow,
+    state: State,
+    info: Info,
+    columns: RowColumns
+  ): Array<string> {
+    const {align, colspan} = columns
+    const slots = gridRow.cells
+    const row: Array<string> = []
+    const subexit = state.enter('tableRow')
+    let end = slots.length
+
+    while (end > 0 && !slots[end - 1]) end--
+
+    let columnIndex = -1
+
+    while (++columnIndex < end) {
+      const slot = slots[columnIndex]
+      let covered = false
+      let value = ''
+
+      if (slot) {
+        const next = slots[columnIndex + 1]
+        const last = !next || next.cell !== slot.cell
+
+        if ((!spans && !slot.origin) || (multiMarkdown && slot.row > 0)) {
+          value = ''
+        } else if (slot.row > 0) {
+          value = '^'
+        } else if (colspanMarker === '||') {
+          covered = slot.column > 0
+          colspan[columnIndex - slot.column] = slot.column + 1
+          if (slot.origin) {
+            value = escapeMarker(
+              serializeCell(
+                slot.cell,
+                state,
+                info,
+                align?.[columnIndex] ?? undefined
+              )
+            )
+          }
+        } else if (colspanMarker === '>' ? !last : slot.column > 0) {
+          value = colspanMarker
+        } else {
+          value = escapeMarker(
+            serializeCell(
+              slot.cell,
+              state,
+              info,
+              align?.[columnIndex] ?? undefined
+            )
+          )
+        }
+      }
+
+      // Without padding, an empty cell would be read as a colspan.
+      if (colspanMarker === '||' && padding === false && !value && !covered) {
+        value = ' '
+      }
+
+      row[columnIndex] = value
+    }
+
+    // A row of dashes would be parsed as the start of a foot.
+    if (row.length > 0 && row.every((d) => delimiterExpression.test(d))) {
+      row[0] = '\\' + row[0]
+    }
+
+    subexit()
+    return row
+  }
+
   /**
    * @param {TableRow} node
    * @param {State} state
@@ -543,3 +1626,15 @@ export function gfmTableToMarkdown(
     return value
   }
 }
+
+/**
+ * Escape cell content that would otherwise be parsed as a span marker.
+ *
+ * @param {string} value
+ *   Serialized cell.
+ * @returns {string}
+ *   Safe cell.
+ */
+function escapeMarker(value: string): string {
+  return /^(?:[<>]|\^+)$/.test(value) ? '\\' + value : value
+}
@@ -151,9 +151,94 @@ export interface Options {
    */
   stringLength?: ((value: string) => number) | null | undefined
   /**
-   * Index of head line
+   * Number of head rows, the alignment row is written after them (default:
+   * `1`);
+   * `0` writes the alignment row first, for a table without head.
    */
   headIndex?: number | undefined
+  /**
+   * Number of rows before the foot, a second alignment row is written before
+   * them (optional).
+   */
+  footIndex?: number | undefined
+  /**
+   * Number of columns each cell spans (optional);
+   * a matrix parallel to the table data, where a value above `1` makes that
+   * cell span the following columns;
+   * the values of the covered cells are ignored, their delimiters are written
+   * after the spanning cell, and its size is spread over the columns it
+   * spans;
+   * spans are cut off at the last column.
+   *
+   * For example, the following:
+   *
+   * ```js
+   * markdownTable(
+   *   [
+   *     ['Alpha and bravo', ''],
+   *     ['A', 'B']
+   *   ],
+   *   {colspan: [[2]]}
+   * )
+   * ```
+   *
+   * Yields:
+   *
+   * ```markdown
+   * | Alpha and bravo ||
+   * | ------- | ------ |
+   * | A       | B      |
+   * ```
+   */
+  colspan?:
+    | ReadonlyArray<ReadonlyArray<number | null | undefined> | null | undefined>
+    | null
+    | undefined
+  /**
+   * Relative width of each column (optional);
+   * only used when `alignDelimiters` is `false`, to write the dashes in the
+   * alignment row in those proportions, with three dashes for the narrowest
+   * column.
+   *
+   * For example, the following:
+   *
+   * ```js
+   * markdownTable(
+   *   [
+   *     ['Alpha', 'Bravo'],
+   *     ['C', 'Delta']
+   *   ],
+   *   {alignDelimiters: false, widths: [0.25, 0.75]}
+   * )
+   * ```
+   *
+   * Yields:
+   *
+   * ```markdown
+   * | Alpha | Bravo |
+   * | --- | --------- |
+   * | C | Delta |
+   * ```
+   */
+  widths?: ReadonlyArray<number | null | undefined> | null | undefined
+}
+
+/**
+ * Cell spanning several columns.
+ */
+interface Span {
+  /**
+   * Index of the first column.
+   */
+  column: number
+  /**
+   * Number of columns.
+   */
+  span: number
+  /**
+   * Size of the cell.
+   */
+  size: number
 }
 
 /**
@@ -186,6 +271,7 @@ export function markdownTable(
   // To do: next major: change to spread.
   const align = (settings.align ?? []).concat()
   const stringLength = settings.stringLength ?? defaultStringLength
+  const padding = settings.padding === false ? 0 : 1
   const headIndex =
     settings.headIndex === undefined || settings.headIndex < 0
       ? 1
@@ -198,8 +284,14 @@ export function markdownTable(
   const sizeMatrix: Array<Array<number>> = []
   /** @type {Array<number>} */
   const longestCellByColumn: Array<number> = []
+  /** @type {Array<Array<number>>} Columns spanned by each cell per row. */
+  const spanMatrix: Array<Array<number>> = []
+  /** @type {Array<Span>} Cells spanning several columns. */
+  const spans: Array<Span> = []
   let mostCellsPerRow = 0
   let rowIndex = -1
+  // Cells do not span past the last column.
+  const columns = columnCount(table)
 
   // This is a superfluous loop if we don’t align delimiters, but otherwise we’d
   // do superfluous work when aligning, so optimize for aligning.
@@ -208,20 +300,28 @@ export function markdownTable(
     const row: Array<string> = []
     /** @type {Array<number>} */
     const sizes: Array<number> = []
+    const rowSpans = toRowSpans(
+      settings.colspan?.[rowIndex],
+      table[rowIndex].length,
+      columns
+    )
     let columnIndex = -1
 
-    if (table[rowIndex].length > mostCellsPerRow) {
-      mostCellsPerRow = table[rowIndex].length
+    if (rowSpans.length > mostCellsPerRow) {
+      mostCellsPerRow = rowSpans.length
     }
 
     while (++columnIndex < table[rowIndex].length) {
       const cell = serialize(table[rowIndex][columnIndex])
+      const span = rowSpans[columnIndex]
 
-      if (settings.alignDelimiters !== false) {
+      if (settings.alignDelimiters !== false && span) {
         const size = stringLength(cell)
         sizes[columnIndex] = size
 
-        if (
+        if (span > 1) {
+          spans.push({column: columnIndex, span, size})
+        } else if (
           longestCellByColumn[columnIndex] === undefined ||
           size > longestCellByColumn[columnIndex]
         ) {
@@ -234,8 +334,11 @@ export function markdownTable(
 
     cellMatrix[rowIndex] = row
     sizeMatrix[rowIndex] = sizes
+    spanMatrix[rowIndex] = rowSpans
   }
 
+  spreadSpans(spans, longestCellByColumn, padding)
+
   // Figure out which alignments to use.
   let columnIndex = -1
 
@@ -252,63 +355,23 @@ export function markdownTable(
   }
 
   // Inject the alignment row.
-  columnIndex = -1
-  /** @type {Array<string>} */
-  const row: Array<string> = []
-  /** @type {Array<number>} */
-  const sizes: Array<number> = []
+  const {row, sizes} = alignmentRow(
+    alignments,
+    longestCellByColumn,
+    mostCellsPerRow,
+    toDashes(settings)
+  )
 
-  while (++columnIndex < mostCellsPerRow) {
-    const code = alignments[columnIndex]
-    let before = ''
-    let after = ''
-
-    switch (code) {
-      case 99: {
-        before = ':'
-        after = ':'
-        break
-      }
-
-      case 108: {
-        before = ':'
-        break
-      }
-
-      case 114: {
-        after = ':'
-        break
-      }
-      // No default
-    }
-
-    // There *must* be at least one hyphen-minus in each alignment cell.
-    let size =
-      settings.alignDelimiters === false
-        ? 1
-        : Math.max(
-            1,
-            longestCellByColumn[columnIndex] - before.length - after.length
-          )
-
-    const cell = before + '-'.repeat(size) + after
-
-    if (settings.alignDelimiters !== false) {
-      size = before.length + size + after.length
-
-      if (size > longestCellByColumn[columnIndex]) {
-        longestCellByColumn[columnIndex] = size
-      }
-
-      sizes[columnIndex] = size
-    }
-
-    row[columnIndex] = cell
-  }
-
-  // Inject the alignment row.
   cellMatrix.splice(headIndex, 0, row)
-  sizeMatrix.splice(1, 0, sizes)
+  sizeMatrix.splice(headIndex, 0, sizes)
+  spanMatrix.splice(headIndex, 0, [])
+
+  // Inject the alignment row before the foot.
+  if (settings.footIndex !== undefined && settings.footIndex >= headIndex) {
+    cellMatrix.splice(settings.footIndex + 1, 0, row)
+    sizeMatrix.splice(settings.footIndex + 1, 0, sizes)
+    spanMatrix.splice(settings.footIndex + 1, 0, [])
+  }
 
   rowIndex = -1
   /** @type {Array<string>} */
@@ -317,18 +380,25 @@ export function markdownTable(
   while (++rowIndex < cellMatrix.length) {
     const row = cellMatrix[rowIndex]
     const sizes = sizeMatrix[rowIndex]
+    const rowSpans = spanMatrix[rowIndex]
     columnIndex = -1
     /** @type {Array<string>} */
     const line: Array<string> = []
 
     while (++columnIndex < mostCellsPerRow) {
+      const span = rowSpans[columnIndex] ?? 1
+
+      // Delimiters of covered cells are written by the spanning cell.
+      if (!span) continue
+
       const cell = row[columnIndex] || ''
       let before = ''
       let after = ''
 
       if (settings.alignDelimiters !== false) {
         const size =
-          longestCellByColumn[columnIndex] - (sizes[columnIndex] || 0)
+          spanSize(longestCellByColumn, columnIndex, span, padding) -
+          (sizes[columnIndex] || 0)
         const code = alignments[columnIndex]
 
         if (code === 114 /* `r` */) {
@@ -374,7 +444,9 @@ export function markdownTable(
         line.push(' ')
       }
 
-      if (
+      if (span > 1) {
+        line.push('|'.repeat(span))
+      } else if (
         settings.delimiterEnd !== false ||
         columnIndex !== mostCellsPerRow - 1
       ) {
@@ -392,6 +464,228 @@ export function markdownTable(
   return lines.join('\n')
 }
 
+/**
+ * Create the alignment row, widening columns to fit its cells.
+ *
+ * @param {ReadonlyArray<number>} alignments
+ *   Character codes as symbols for alignment per column.
+ * @param {Array<number>} longestCellByColumn
+ *   Size of each column.
+ * @param {number} mostCellsPerRow
+ *   Number of columns.
+ * @param {Array<number> | undefined} dashes
+ *   Number of dashes per column when not aligning the delimiters.
+ * @returns {{row: Array<string>, sizes: Array<number>}}
+ *   Cells and their sizes.
+ */
+function alignmentRow(
+  alignments: ReadonlyArray<number>,
+  longestCellByColumn: Array<number>,
+  mostCellsPerRow: number,
+  dashes: Array<number> | undefined
+): {row: Array<string>; sizes: Array<number>} {
+  let columnIndex = -1
+  /** @type {Array<string>} */
+  const row: Array<string> = []
+  /** @type {Array<number>} */
+  const sizes: Array<number> = []
+
+  while (++columnIndex < mostCellsPerRow) {
+    const code = alignments[columnIndex]
+    let before = ''
+    let after = ''
+
+    switch (code) {
+      case 99: {
+        before = ':'
+        after = ':'
+        break
+      }
+
+      case 108: {
+        before = ':'
+        break
+      }
+
+      case 114: {
+        after = ':'
+        break
+      }
+      // No default
+    }
+
+    // There *must* be at least one hyphen-minus in each alignment cell.
+    let size = dashes
+      ? dashes[columnIndex] ?? 1
+      : Math.max(
+          1,
+          longestCellByColumn[columnIndex] - before.length - after.length
+        )
+
+    const cell = before + '-'.repeat(size) + after
+
+    if (!dashes) {
+      size = before.length + size + after.length
+
+      if (size > longestCellByColumn[columnIndex]) {
+        longestCellByColumn[columnIndex] = size
+      }
+
+      sizes[columnIndex] = size
+    }
+
+    row[columnIndex] = cell
+  }
+
+  return {row, sizes}
+}
+
+/**
+ * Get the number of dashes of each column in the alignment row from their
+ * relative widths, when not aligning the delimiters;
+ * one dash for columns without width.
+ *
+ * @param {Readonly<Options>} settings
+ *   Configuration.
+ * @returns {Array<number> | undefined}
+ *   Number of dashes per column, if not aligning the delimiters.
+ */
+function toDashes(settings: Readonly<Options>): Array<number> | undefined {
+  if (settings.alignDelimiters !== false) return
+  const sizes = (settings.widths ?? []).map((d) =>
+    typeof d === 'number' && d > 0 ? d : 0
+  )
+  const smallest = Math.min(...sizes.filter((d) => d > 0))
+
+  return sizes.map((d) =>
+    d > 0 ? Math.max(1, Math.round((d / smallest) * 3)) : 1
+  )
+}
+
+/**
+ * Spread the size of cells spanning several columns over those columns,
+ * narrowest spans first.
+ *
+ * @param {Array<Span>} spans
+ *   Cells spanning several columns.
+ * @param {Array<number>} longestCellByColumn
+ *   Size of each column.
+ * @param {number} padding
+ *   Size of the padding on each side of a cell.
+ * @returns {undefined}
+ *   Nothing.
+ */
+function spreadSpans(
+  spans: Array<Span>,
+  longestCellByColumn: Array<number>,
+  padding: number
+): undefined {
+  spans.sort((a, b) => a.span - b.span)
+
+  for (const span of spans) {
+    const extra =
+      span.size - spanSize(longestCellByColumn, span.column, span.span, padding)
+    let offset = -1
+
+    if (extra <= 0) continue
+
+    while (++offset < span.span) {
+      longestCellByColumn[span.column + offset] =
+        (longestCellByColumn[span.column + offset] || 0) +
+        Math.floor(extra / span.span) +
+        (offset < extra % span.span ? 1 : 0)
+    }
+  }
+}
+
+/**
+ * @param {ReadonlyArray<ReadonlyArray<string | null | undefined>>} table
+ *   Table data.
+ * @returns {number}
+ *   Number of cells in the longest row.
+ */
+function columnCount(
+  table: ReadonlyArray<ReadonlyArray<string | null | undefined>>
+): number {
+  let count = 0
+
+  for (const row of table) {
+    count = Math.max(count, row.length)
+  }
+
+  return count
+}
+
+/**
+ * @param {ReadonlyArray<number | null | undefined> | null | undefined} values
+ *   Number of columns spanned by each cell in a row.
+ * @param {number} length
+ *   Number of cells in the row.
+ * @param {number} columns
+ *   Number of columns in the table.
+ * @returns {Array<number>}
+ *   Number of columns spanned by each cell, `0` for covered cells;
+ *   spans do not go past the last column.
+ */
+function toRowSpans(
+  values: ReadonlyArray<number | null | undefined> | null | undefined,
+  length: number,
+  columns: number
+): Array<number> {
+  /** @type {Array<number>} */
+  const result: Array<number> = []
+  let index = 0
+
+  while (index < length) {
+    let covered = Math.min(toSpan(values?.[index]), columns - index)
+    result[index++] = covered
+
+    while (--covered > 0) {
+      result[index++] = 0
+    }
+  }
+
+  return result
+}
+
+/**
+ * @param {ReadonlyArray<number>} longestCellByColumn
+ *   Size of each column.
+ * @param {number} column
+ *   Index of the first column.
+ * @param {number} span
+ *   Number of columns.
+ * @param {number} padding
+ *   Size of the padding on each side of a cell.
+ * @returns {number}
+ *   Room for the content of a cell spanning these columns.
+ */
+function spanSize(
+  longestCellByColumn: ReadonlyArray<number>,
+  column: number,
+  span: number,
+  padding: number
+): number {
+  let size = (span - 1) * padding * 2
+  let offset = -1
+
+  while (++offset < span) {
+    size += longestCellByColumn[column + offset] || 0
+  }
+
+  return size
+}
+
+/**
+ * @param {number | null | undefined} value
+ *   Number of columns.
+ * @returns {number}
+ *   Span, at least `1`.
+ */
+function toSpan(value: number | null | undefined): number {
+  return typeof value === 'number' && value > 1 ? Math.floor(value) : 1
+}
+
 /**
  * @param {string | null | undefined} [value]
  *   Value to serialize.
@@ -1,6 +1,13 @@
 import type {Element, ElementContent, Properties} from 'hast'
-import type {Data, PhrasingContent, Parent} from 'mdast'
-import type {Node} from 'unist'
+import type {
+  BlockContent,
+  Data,
+  DefinitionContent,
+  PhrasingContent,
+  Parent
+} from 'mdast'
+import type {Options as MdastFromMarkdownOptions} from 'mdast-util-from-markdown'
+import type {Node, Position} from 'unist'
 import type {Options as MarkdownTableOptions} from './markdown.js'
 
 export type HastElementContent = ElementContent
@@ -24,6 +31,252 @@ export interface Options {
    * the delimiters between cells (optional).
    */
   stringLength?: MarkdownTableOptions['stringLength'] | null | undefined
+  /**
+   * Marker to use for cells covered by a `colspan` (default: `'<'`);
+   * `'<'` keeps the content in the first column of the span and merges the
+   * following cells into it, `'>'` puts the content in the last column of the
+   * span and merges the preceding cells into it, `'||'` writes the delimiters
+   * of the covered cells right after the spanning cell, as in MultiMarkdown.
+   */
+  tableColspanMarker?: '<' | '>' | '||' | null | undefined
+  /**
+   * Whether to write span markers (default: `true`);
+   * `false` writes plain GFM tables, where the slots covered by a `colspan` or
+   * `rowspan` are empty cells.
+   */
+  tableSpans?: boolean | null | undefined
+  /**
+   * Dialect to write (optional);
+   * `'multimarkdown'` writes colspans as `||`, leaves the slots covered by a
+   * `rowspan` empty, and writes captions as `[caption]`.
+   */
+  tableDialect?: 'multimarkdown' | null | undefined
+  /**
+   * Format to write tables in (default: `'pipe'`);
+   * the `tableFormat` in the data of a table wins, and tables with flow
+   * content in cells are always written as grid tables.
+   */
+  tableFormat?: 'grid' | 'pipe' | null | undefined
+  /**
+   * Whether to write flow content in cells over several lines, ending all but
+   * the last line of a row with `\\` (default: `false`);
+   * when off, tables with flow content in cells are written as grid tables.
+   */
+  tableMultiline?: boolean | null | undefined
+  /**
+   * Whether to write the `hProperties` of tables, cells, and rows as attribute
+   * blocks (`{#id .class key=value}`) after them (default: `false`);
+   * `colspan` and `rowspan` are skipped, and so is the `align` of a cell when
+   * it is the alignment of its column.
+   */
+  tableAttributes?: boolean | null | undefined
+  /**
+   * What to write for cells with a `tableFormula` in their data (default:
+   * `'formula'`);
+   * `'value'` writes their content, the computed value.
+   */
+  tableFormulas?: 'formula' | 'value' | null | undefined
+}
+
+/**
+ * Configuration for `gfmTableFromMarkdown`.
+ */
+export interface FromMarkdownOptions {
+  /**
+   * Whether to turn a paragraph right before or after a table into the caption
+   * of that table (default: `false`);
+   * the paragraph must start with `Table:` or `:`, or be wrapped in brackets
+   * (`[caption]`).
+   */
+  tableCaption?: boolean | null | undefined
+  /**
+   * Whether a `<` cell merges into the cell before it (default: `true`);
+   * `false` keeps it as text.
+   */
+  tableColspanLeft?: boolean | null | undefined
+  /**
+   * Whether a `>` cell merges into the cell after it (default: `true`);
+   * `false` keeps it as text.
+   */
+  tableColspanRight?: boolean | null | undefined
+  /**
+   * Whether a `^` cell merges into the cell above it (default: `true`);
+   * `false` keeps it as text.
+   */
+  tableRowspan?: boolean | null | undefined
+  /**
+   * Dialect of the tables (optional);
+   * `'multimarkdown'` only spans columns with empty cells without whitespace
+   * (`| a ||`), and keeps `<`, `>`, and `^` as text.
+   */
+  tableDialect?: 'multimarkdown' | null | undefined
+  /**
+   * Whether to parse grid tables (default: `false`);
+   * their cells can hold flow content, such as lists and code.
+   */
+  tableGrid?: boolean | null | undefined
+  /**
+   * Whether to join rows ending in an extra `\\` cell with the next row
+   * (default: `false`);
+   * the content of the joined cells is parsed per column, so cells can hold
+   * flow content, such as lists and several paragraphs.
+   */
+  tableMultiline?: boolean | null | undefined
+  /**
+   * Syntax extensions for `micromark` to parse the content of grid and
+   * multiline cells with (optional);
+   * pass the `extensions` given to `fromMarkdown`, so that cells support the
+   * same syntax as the document.
+   */
+  tableExtensions?: MdastFromMarkdownOptions['extensions']
+  /**
+   * Extensions for `mdast-util-from-markdown` to parse the content of grid
+   * and multiline cells with (optional);
+   * pass the `mdastExtensions` given to `fromMarkdown`.
+   */
+  tableMdastExtensions?: MdastFromMarkdownOptions['mdastExtensions']
+  /**
+   * Whether rows below a second delimiter row form the foot of the table
+   * (default: `false`);
+   * rows of escaped dashes (`\\-`) stay rows.
+   */
+  tableFoot?: boolean | null | undefined
+  /**
+   * Whether to record the relative widths of columns from the number of
+   * dashes in the delimiter row (default: `false`);
+   * they are set as `tableWidths` in the data of the table.
+   */
+  tableWidths?: boolean | null | undefined
+  /**
+   * Whether to parse attribute blocks (`{#id .class key=value}`) at the end of
+   * cells, in an extra cell at the end of rows, and in a line right after
+   * tables, into their `hProperties` (default: `false`).
+   */
+  tableAttributes?: boolean | null | undefined
+  /**
+   * Properties to set on every table (optional);
+   * set as `tableProperties` in the data of the table, apart from those of
+   * attribute blocks, so that they are not written back to markdown;
+   * `gfmTableHastHandlers` merges those of attribute blocks over them, class
+   * names are added.
+   */
+  tableProperties?: HastProperties | null | undefined
+  /**
+   * Whether to add a `scope` to the cells in the head (default: `false`);
+   * `'col'`, or `'colgroup'` when the cell spans several columns.
+   */
+  tableHeaderScope?: boolean | null | undefined
+  /**
+   * Number of leading columns in the body and foot whose cells are row headers
+   * (default: `0`);
+   * these cells become `th` with a `scope` of `'row'`, or `'rowgroup'` when
+   * the cell spans several rows.
+   */
+  tableRowHeaders?: number | null | undefined
+  /**
+   * Whether to compute formulas in cells, such as `=SUM(above)` or
+   * `=AVG(B2:B9)` (default: `false`);
+   * the content of the cell is replaced by the value, and the formula is set
+   * as `tableFormula` in the data of the cell.
+   */
+  tableFormulas?: boolean | null | undefined
+  /**
+   * Handle problems in the structure of tables, and formulas that cannot be
+   * computed (optional);
+   * compatible with `file.message` of `vfile`.
+   */
+  onWarning?: OnWarning | null | undefined
+}
+
+/**
+ * Handle a problem in the structure of a table.
+ *
+ * @param reason
+ *   Human readable description of the problem.
+ * @param options
+ *   Place, rule, and source of the problem.
+ * @returns
+ *   Nothing.
+ */
+export type OnWarning = (reason: string, options: WarningOptions) => undefined
+
+/**
+ * Info on a problem in the structure of a table.
+ */
+export interface WarningOptions {
+  /**
+   * Place of the problem in the document, if known.
+   */
+  place?: Position | undefined
+  /**
+   * Identifier of the problem.
+   */
+  ruleId: WarningRule
+  /**
+   * Package that found the problem.
+   */
+  source: 'mdast-util-gfm-table'
+}
+
+/**
+ * Identifier of a problem in the structure of a table.
+ *
+ * * `'circular-formula'`: formula that refers to itself, through other cells
+ *   or not
+ * * `'conflicting-colspan'`: `<` right after `>`
+ * * `'dangling-colspan'`: `>` in the last column or `<` in the first
+ * * `'dangling-rowspan'`: `^` in the first row of a section
+ * * `'invalid-formula'`: formula that cannot be computed
+ * * `'overlapping-span'`: cell spanning slots already taken by another cell
+ * * `'ragged-row'`: row with more cells than the delimiter row, whose cells
+ *   past the column count are dropped in HTML
+ * * `'skipped-cell'`: cell in a range or direction of a formula that is not
+ *   empty but not a number either, so it is skipped
+ */
+export type WarningRule =
+  | 'circular-formula'
+  | 'conflicting-colspan'
+  | 'dangling-colspan'
+  | 'dangling-rowspan'
+  | 'invalid-formula'
+  | 'overlapping-span'
+  | 'ragged-row'
+  | 'skipped-cell'
+
+/**
+ * Configuration for `gfmTableHastHandlers`.
+ */
+export interface HastOptions {
+  /**
+   * Whether to associate data cells with their header cells (default:
+   * `false`);
+   * each header cell gets an `id` and each data cell gets a `headers` listing
+   * the header cells above it in its columns and left of it in its rows.
+   */
+  tableHeaders?: boolean | null | undefined
+  /**
+   * Prefix of the generated `id` of header cells (default: `'table-'`);
+   * ids look like `table-1-2-3` for the header cell in the second row and
+   * third column of the first table.
+   */
+  tableIdPrefix?: string | null | undefined
+  /**
+   * Whether to give each data cell a `data-label` with the text of the header
+   * cells above it in its columns (default: `false`);
+   * for stylesheets that show tables as cards on small screens.
+   */
+  tableDataLabels?: boolean | null | undefined
+  /**
+   * Whether to wrap tables in a `<div>` that can scroll (default: `false`);
+   * a string is used as its class name instead of `'table-scroll'`.
+   */
+  tableScroll?: boolean | string | null | undefined
+  /**
+   * Number of columns from which tables are turned into a stacked list of
+   * `<dl>`s, one per row, instead of a `<table>` (optional);
+   * each cell becomes a `<dd>` after a `<dt>` with its label.
+   */
+  tableStackColumns?: number | null | undefined
 }
 
 /**
@@ -77,9 +330,10 @@ export interface TableCell extends Parent {
    */
   type: 'tableCell'
   /**
-   * Children of GFM table cell.
+   * Children of GFM table cell;
+   * cells of grid tables and multiline rows can also hold flow content.
    */
-  children: Array<PhrasingContent>
+  children: Array<TableCellContent>
   /**
    * Data associated with the mdast GFM table cell.
    */
@@ -88,10 +342,26 @@ export interface TableCell extends Parent {
   rowspan?: number
 }
 
+/**
+ * Content of a table cell: phrasing content, or flow content in cells of grid
+ * tables and multiline rows.
+ */
+export type TableCellContent =
+  | BlockContent
+  | DefinitionContent
+  | PhrasingContent
+
 /**
  * Info associated with mdast GFM table cell nodes by the ecosystem.
  */
-export interface TableCellData extends Data {}
+export interface TableCellData extends Data {
+  /**
+   * Formula the content of the cell was computed from, such as
+   * `=SUM(above)`;
+   * set by `gfmTableFromMarkdown` when `tableFormulas` is on.
+   */
+  tableFormula?: string | undefined
+}
 
 /**
  * Markdown GFM table head.
@@ -147,11 +417,63 @@ export interface TableBody extends Parent {
  */
 export interface TableBodyData extends Data {}
 
+/**
+ * Markdown GFM table foot.
+ */
+export interface TableFoot extends Parent {
+  /**
+   * Node type of mdast GFM table foot.
+   */
+  type: 'tableFoot'
+  /**
+   * Column count from align
+   */
+  cols?: number | undefined
+  /**
+   * Children of GFM table foot.
+   */
+  children: Array<TableRow>
+  /**
+   * Data associated with the mdast GFM table foot.
+   */
+  data?: TableFootData | undefined
+}
+
+/**
+ * Info associated with mdast GFM table foot nodes by the ecosystem.
+ */
+export interface TableFootData extends Data {}
+
+/**
+ * Markdown GFM table caption.
+ */
+export interface TableCaption extends Parent {
+  /**
+   * Node type of mdast GFM table caption.
+   */
+  type: 'tableCaption'
+  /**
+   * Children of GFM table caption.
+   */
+  children: Array<PhrasingContent>
+  /**
+   * Data associated with the mdast GFM table caption.
+   */
+  data?: TableCaptionData | undefined
+}
+
+/**
+ * Info associated with mdast GFM table caption nodes by the ecosystem.
+ */
+export interface TableCaptionData extends Data {}
+
 export type {Table} from 'mdast'
 
 export const mdastTypes = {
   tableHead: 'tableHead' as const,
   tableBody: 'tableBody' as const,
+  tableFoot: 'tableFoot' as const,
+  tableCaption: 'tableCaption' as const,
   tableColspanRight: 'tableColspanRight' as const,
   tableColspanLeft: 'tableColspanLeft' as const,
   tableRowspan: 'tableRowspan' as const
@@ -159,12 +481,24 @@ export const mdastTypes = {
 
 export interface TableColspanRight extends Node {
   type: 'tableColspanRight'
+  /**
+   * Source of the marker.
+   */
+  value?: string | undefined
 }
 export interface TableColspanLeft extends Node {
   type: 'tableColspanLeft'
+  /**
+   * Source of the marker.
+   */
+  value?: string | undefined
 }
 export interface TableRowspan extends Node {
   type: 'tableRowspan'
+  /**
+   * Source of the marker.
+   */
+  value?: string | undefined
 }
 
 /**
@@ -213,23 +547,49 @@ declare module 'mdast' {
      */
     hProperties?: Properties | undefined
   }
+  interface TableData {
+    /**
+     * Format to write the table in;
+     * set to `'grid'` on grid tables by `gfmTableFromMarkdown`.
+     */
+    tableFormat?: 'grid' | 'pipe' | undefined
+    /**
+     * Relative width of each column, adding up to `1`;
+     * set from the dashes in the delimiter row by `gfmTableFromMarkdown` when
+     * `tableWidths` is on.
+     */
+    tableWidths?: Array<number> | undefined
+    /**
+     * Properties set on every table by `gfmTableFromMarkdown` when
+     * `tableProperties` is given;
+     * applied under the `hProperties` by `gfmTableHastHandlers`, and not
+     * written to markdown.
+     */
+    tableProperties?: Properties | undefined
+  }
   interface RootContentMap {
+    tableCaption: TableCaption
     tableHead: TableHead
     tableBody: TableBody
+    tableFoot: TableFoot
     tableColspanLeft: TableColspanLeft
     tableColspanRight: TableColspanRight
     tableRowspan: TableRowspan
   }
-  interface PhrasingContentMap {
+  // Cells of grid tables and multiline rows can hold flow content.
+  interface PhrasingContentMap extends BlockContentMap, DefinitionContentMap {
     tableHead: TableHead
     tableBody: TableBody
+    tableFoot: TableFoot
     TableColspanLeft: TableColspanLeft
     TableColspanRight: TableColspanRight
     tableRowspan: TableRowspan
   }
   interface TableContentMap {
+    tableCaption: TableCaption
     tableHead: TableHead
     tableBody: TableBody
+    tableFoot: TableFoot
   }
 }
 
@@ -248,6 +608,11 @@ declare module 'mdast-util-from-markdown' {
      * Whether we’re currently column count in table.
      */
     tableCols?: number | undefined
+    /**
+     * Number of dashes in each cell of the first delimiter row of the current
+     * table.
+     */
+    tableDashes?: Array<number> | undefined
   }
 }
 
@@ -291,6 +656,10 @@ declare module 'mdast-util-to-markdown' {
     tableHead: 'tableHead'
 
     tableBody: 'tableBody'
+
+    tableFoot: 'tableFoot'
+
+    tableCaption: 'tableCaption'
   }
 }
 
@@ -0,0 +1,48 @@
+import type {TableCaption, TableCell} from './types.js'
+
+// Flow content, which cells of pipe tables cannot hold.
+const flowTypes = new Set([
+  'blockquote',
+  'code',
+  'definition',
+  'footnoteDefinition',
+  'heading',
+  'list',
+  'math',
+  'paragraph',
+  'table',
+  'thematicBreak'
+])
+
+/**
+ * Number, with an optional sign, thousands separators, fraction, exponent, and
+ * percent sign.
+ */
+const numberExpression =
+  /^[-+]?(?:\d{1,3}(?:,\d{3})+|\d+)?(?:\.\d+)?(?:e[-+]?\d+)?%?$/i
+
+/**
+ * Check whether a cell (or caption) holds flow content.
+ *
+ * @param {TableCaption | TableCell} cell
+ *   Cell.
+ * @returns {boolean}
+ *   Whether `cell` holds flow content.
+ */
+export function hasFlow(cell: TableCaption | TableCell): boolean {
+  return cell.children.some((d) => flowTypes.has(d.type))
+}
+
+/**
+ * Parse a value as a number, such as `-1,200.5` or `12%`.
+ *
+ * @param {string} value
+ *   Value.
+ * @returns {number | undefined}
+ *   Number, if `value` is one.
+ */
+export function toNumber(value: string): number | undefined {
+  const trimmed = value.trim()
+  if (!/\d/.test(trimmed) || !numberExpression.test(trimmed)) return
+  return Number(trimmed.replaceAll(',', '').replace(/%$/, ''))
+}
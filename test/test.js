@@ -15,13 +15,31 @@ import {fromMarkdown as mdastFromMarkdown} from 'mdast-util-from-markdown'
 import {toMarkdown} from 'mdast-util-to-markdown'
 import {removePosition} from 'unist-util-remove-position'
 import {
+  filterTableRows,
+  gfmTableFromHastHandlers,
   gfmTableFromMarkdown,
   gfmTableHastHandlers,
   gfmTableToMarkdown,
-  markdownTable
+  gridTable,
+  gridToTable,
+  insertColumn,
+  insertRow,
+  markdownTable,
+  mergeTableCells,
+  moveColumn,
+  removeColumn,
+  removeRow,
+  sortTableRows,
+  tableFromCsv,
+  tableToCsv,
+  tableToGrid,
+  tableToRecords,
+  transposeTable,
+  unmergeTableCells
 } from '@jhuix/mdast-util-gfm-table'
 import {gfmTable} from '@jhuix/micromark-extension-gfm-table'
 import {toHast} from 'mdast-util-to-hast'
+import {toMdast} from 'hast-util-to-mdast'
 import {toHtml} from 'hast-util-to-html'
 
 /**
@@ -70,10 +88,27 @@ test('core', async function (t) {
     assert.deepEqual(
       Object.keys(await import('@jhuix/mdast-util-gfm-table')).sort(),
       [
+        'filterTableRows',
+        'gfmTableFromHastHandlers',
         'gfmTableFromMarkdown',
         'gfmTableHastHandlers',
         'gfmTableToMarkdown',
-        'markdownTable'
+        'gridTable',
+        'gridToTable',
+        'insertColumn',
+        'insertRow',
+        'markdownTable',
+        'mergeTableCells',
+        'moveColumn',
+        'removeColumn',
+        'removeRow',
+        'sortTableRows',
+        'tableFromCsv',
+        'tableToCsv',
+        'tableToGrid',
+        'tableToRecords',
+        'transposeTable',
+        'unmergeTableCells'
       ]
     )
   })
@@ -105,6 +140,337 @@ test('gfmTableHastHandlers()', async function (t) {
       '<table>\n<thead>\n<tr>\n<th align="left">abc</th>\n<th>def</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td align="left">bar</td>\n<td>baz</td>\n</tr>\n<tr>\n<td align="left">bar</td>\n<td></td>\n</tr>\n</tbody>\n</table>\n<p>bar</p>'
     )
   })
+  await t.test('should support a foot', async function () {
+    const mdast = fromMarkdown(
+      '| Item | Cost |\n| - | -: |\n| a | 1 |\n| --- | --: |\n| Total | 3 |',
+      {
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown({tableFoot: true})]
+      }
+    )
+
+    const hast = toHast(mdast, {handlers: gfmTableHastHandlers()})
+
+    assert.deepEqual(
+      toHtml(hast),
+      '<table>\n<thead>\n<tr>\n<th>Item</th>\n<th align="right">Cost</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>a</td>\n<td align="right">1</td>\n</tr>\n</tbody>\n<tfoot>\n<tr>\n<td>Total</td>\n<td align="right">3</td>\n</tr>\n</tfoot>\n</table>'
+    )
+  })
+  await t.test('should support a caption', async function () {
+    const mdast = fromMarkdown('Table: Costs\n\n| a |\n| - |\n| b |', {
+      extensions: [gfmTable()],
+      mdastExtensions: [gfmTableFromMarkdown({tableCaption: true})]
+    })
+
+    const hast = toHast(mdast, {handlers: gfmTableHastHandlers()})
+
+    assert.deepEqual(
+      toHtml(hast),
+      '<table>\n<caption>Costs</caption>\n<thead>\n<tr>\n<th>a</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>b</td>\n</tr>\n</tbody>\n</table>'
+    )
+  })
+  await t.test('should support row headers', async function () {
+    const mdast = fromMarkdown(
+      '|   | Q1 | Q2 |\n| - | -- | -- |\n| a | 1  | 2  |\n| b | 3  | 4  |',
+      {
+        extensions: [gfmTable()],
+        mdastExtensions: [
+          gfmTableFromMarkdown({tableHeaderScope: true, tableRowHeaders: 1})
+        ]
+      }
+    )
+
+    const hast = toHast(mdast, {handlers: gfmTableHastHandlers()})
+
+    assert.deepEqual(
+      toHtml(hast),
+      '<table>\n<thead>\n<tr>\n<th scope="col"></th>\n<th scope="col">Q1</th>\n<th scope="col">Q2</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<th scope="row">a</th>\n<td>1</td>\n<td>2</td>\n</tr>\n<tr>\n<th scope="row">b</th>\n<td>3</td>\n<td>4</td>\n</tr>\n</tbody>\n</table>'
+    )
+  })
+
+  await t.test('should associate cells with headers', async function () {
+    const mdast = fromMarkdown(
+      '|   | > | Year |\n| ^ | Q1 | Q2 |\n| - | -- | -- |\n| a | 1 | 2 |\n| ^ | > | 3 |',
+      {
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown({tableRowHeaders: 1})]
+      }
+    )
+
+    const hast = toHast(mdast, {
+      handlers: gfmTableHastHandlers({tableHeaders: true})
+    })
+
+    assert.deepEqual(
+      toHtml(hast),
+      '<table>\n<thead>\n<tr>\n<th rowspan="2" id="table-1-1-1"></th>\n<th colspan="2" id="table-1-1-2">Year</th>\n</tr>\n<tr>\n<th id="table-1-2-2">Q1</th>\n<th id="table-1-2-3">Q2</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<th rowspan="2" scope="rowgroup" id="table-1-3-1">a</th>\n<td headers="table-1-1-2 table-1-2-2 table-1-3-1">1</td>\n<td headers="table-1-1-2 table-1-2-3 table-1-3-1">2</td>\n</tr>\n<tr>\n<td colspan="2" headers="table-1-1-2 table-1-2-2 table-1-2-3 table-1-3-1">3</td>\n</tr>\n</tbody>\n</table>'
+    )
+  })
+
+  await t.test(
+    'should number tables and support `tableIdPrefix`',
+    async function () {
+      /** @type {Table} */
+      const table = {
+        type: 'table',
+        children: [
+          {
+            type: 'tableRow',
+            children: [
+              {
+                type: 'tableCell',
+                children: [{type: 'text', value: 'a'}],
+                data: {hName: 'th'}
+              },
+              {
+                type: 'tableCell',
+                children: [{type: 'text', value: 'b'}],
+                data: {hName: 'th', hProperties: {id: 'b'}}
+              }
+            ],
+            data: {hName: 'tr'}
+          },
+          {
+            type: 'tableRow',
+            children: [
+              {
+                type: 'tableCell',
+                children: [{type: 'text', value: '1'}],
+                data: {hName: 'td'}
+              },
+              {
+                type: 'tableCell',
+                children: [{type: 'text', value: '2'}],
+                data: {hName: 'td'}
+              }
+            ],
+            data: {hName: 'tr'}
+          }
+        ],
+        data: {hName: 'table'}
+      }
+
+      const hast = toHast(
+        {type: 'root', children: [table, structuredClone(table)]},
+        {
+          handlers: gfmTableHastHandlers({
+            tableHeaders: true,
+            tableIdPrefix: 'x-'
+          })
+        }
+      )
+
+      assert.deepEqual(
+        toHtml(hast),
+        '<table>\n<tr>\n<th id="x-1-1-1">a</th>\n<th id="b">b</th>\n</tr>\n<tr>\n<td headers="x-1-1-1">1</td>\n<td headers="b">2</td>\n</tr>\n</table>\n<table>\n<tr>\n<th id="x-2-1-1">a</th>\n<th id="b">b</th>\n</tr>\n<tr>\n<td headers="x-2-1-1">1</td>\n<td headers="b">2</td>\n</tr>\n</table>'
+      )
+    }
+  )
+
+  await t.test(
+    'should support `tableDataLabels`, `tableScroll`, and `tableStackColumns`',
+    async function () {
+      /** @type {Table} */
+      const table = {
+        type: 'table',
+        align: [null, null, null],
+        children: [
+          {
+            type: 'tableCaption',
+            children: [{type: 'text', value: 'Costs'}],
+            data: {hName: 'caption'}
+          },
+          {
+            type: 'tableHead',
+            children: [
+              {
+                type: 'tableRow',
+                children: [
+                  {
+                    type: 'tableCell',
+                    children: [{type: 'text', value: 'Item'}],
+                    data: {hName: 'th'}
+                  },
+                  {
+                    type: 'tableCell',
+                    colspan: 2,
+                    children: [{type: 'text', value: 'Cost'}],
+                    data: {hName: 'th', hProperties: {colspan: 2}}
+                  }
+                ],
+                data: {hName: 'tr'}
+              },
+              {
+                type: 'tableRow',
+                children: [
+                  {type: 'tableCell', children: [], data: {hName: 'th'}},
+                  {
+                    type: 'tableCell',
+                    children: [{type: 'text', value: 'Q1'}],
+                    data: {hName: 'th'}
+                  },
+                  {
+                    type: 'tableCell',
+                    children: [{type: 'text', value: 'Q2'}],
+                    data: {hName: 'th'}
+                  }
+                ],
+                data: {hName: 'tr'}
+              }
+            ],
+            data: {hName: 'thead'}
+          },
+          {
+            type: 'tableBody',
+            children: [
+              {
+                type: 'tableRow',
+                children: [
+                  {
+                    type: 'tableCell',
+                    rowspan: 2,
+                    children: [{type: 'text', value: 'a'}],
+                    data: {hName: 'th', hProperties: {rowspan: 2}}
+                  },
+                  {
+                    type: 'tableCell',
+                    children: [{type: 'text', value: '1'}],
+                    data: {hName: 'td'}
+                  },
+                  {
+                    type: 'tableCell',
+                    children: [{type: 'text', value: '2'}],
+                    data: {hName: 'td'}
+                  }
+                ],
+                data: {hName: 'tr'}
+              },
+              {
+                type: 'tableRow',
+                children: [
+                  {
+                    type: 'tableCell',
+                    colspan: 2,
+                    children: [{type: 'text', value: '3'}],
+                    data: {hName: 'td', hProperties: {colspan: 2}}
+                  }
+                ],
+                data: {hName: 'tr'}
+              }
+            ],
+            data: {hName: 'tbody'}
+          }
+        ],
+        data: {hName: 'table'}
+      }
+
+      assert.deepEqual(
+        toHtml(
+          toHast(structuredClone(table), {
+            handlers: gfmTableHastHandlers({
+              tableDataLabels: true,
+              tableScroll: true
+            })
+          })
+        ),
+        '<div class="table-scroll">\n<table>\n<caption>Costs</caption>\n<thead>\n<tr>\n<th>Item</th>\n<th colspan="2">Cost</th>\n</tr>\n<tr>\n<th></th>\n<th>Q1</th>\n<th>Q2</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<th rowspan="2">a</th>\n<td data-label="Cost Q1">1</td>\n<td data-label="Cost Q2">2</td>\n</tr>\n<tr>\n<td colspan="2" data-label="Cost Q1 Q2">3</td>\n</tr>\n</tbody>\n</table>\n</div>',
+        'should add labels and wrap'
+      )
+
+      assert.deepEqual(
+        toHtml(
+          toHast(structuredClone(table), {
+            handlers: gfmTableHastHandlers({
+              tableScroll: 'wide',
+              tableStackColumns: 4
+            })
+          })
+        ),
+        '<div class="wide">\n<table>\n<caption>Costs</caption>\n<thead>\n<tr>\n<th>Item</th>\n<th colspan="2">Cost</th>\n</tr>\n<tr>\n<th></th>\n<th>Q1</th>\n<th>Q2</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<th rowspan="2">a</th>\n<td>1</td>\n<td>2</td>\n</tr>\n<tr>\n<td colspan="2">3</td>\n</tr>\n</tbody>\n</table>\n</div>',
+        'should not stack tables below the threshold'
+      )
+
+      assert.deepEqual(
+        toHtml(
+          toHast(structuredClone(table), {
+            handlers: gfmTableHastHandlers({tableStackColumns: 3})
+          })
+        ),
+        '<div class="table-stack">\n<p>Costs</p>\n<dl>\n<dt>Item</dt>\n<dd>a</dd>\n<dt>Cost Q1</dt>\n<dd>1</dd>\n<dt>Cost Q2</dt>\n<dd>2</dd>\n</dl>\n<dl>\n<dt>Item</dt>\n<dd>a</dd>\n<dt>Cost Q1 Q2</dt>\n<dd>3</dd>\n</dl>\n</div>',
+        'should stack tables from the threshold'
+      )
+    }
+  )
+
+  await t.test('should add a `colgroup` for widths', async function () {
+    const hast = toHast(
+      {
+        type: 'table',
+        align: [null, null],
+        children: [
+          {
+            type: 'tableCaption',
+            children: [{type: 'text', value: 'Costs'}],
+            data: {hName: 'caption'}
+          },
+          {
+            type: 'tableRow',
+            children: [
+              {
+                type: 'tableCell',
+                children: [{type: 'text', value: 'a'}],
+                data: {hName: 'td'}
+              },
+              {
+                type: 'tableCell',
+                children: [{type: 'text', value: 'b'}],
+                data: {hName: 'td'}
+              }
+            ],
+            data: {hName: 'tr'}
+          }
+        ],
+        data: {hName: 'table', tableWidths: [1 / 3, 2 / 3]}
+      },
+      {handlers: gfmTableHastHandlers()}
+    )
+
+    assert.deepEqual(
+      toHtml(hast),
+      '<table>\n<caption>Costs</caption>\n<colgroup>\n<col style="width:33.33%">\n<col style="width:66.67%">\n</colgroup>\n<tr>\n<td>a</td>\n<td>b</td>\n</tr>\n</table>'
+    )
+  })
+
+  await t.test('should pass table properties through', async function () {
+    const hast = toHast(
+      {
+        type: 'table',
+        children: [
+          {
+            type: 'tableRow',
+            children: [
+              {
+                type: 'tableCell',
+                children: [{type: 'text', value: 'a'}],
+                data: {hName: 'td'}
+              }
+            ],
+            data: {hName: 'tr'}
+          }
+        ],
+        data: {
+          hName: 'table',
+          hProperties: {id: 'pricing', className: ['compact']}
+        }
+      },
+      {handlers: gfmTableHastHandlers()}
+    )
+
+    assert.deepEqual(
+      toHtml(hast),
+      '<table id="pricing" class="compact">\n<tr>\n<td>a</td>\n</tr>\n</table>'
+    )
+  })
 })
 
 test('gfmTableFromMarkdown()', async function (t) {
@@ -973,622 +1339,2088 @@ test('gfmTableFromMarkdown()', async function (t) {
       })
     }
   )
-})
-
-test('gfmTableToMarkdown', async function (t) {
-  await t.test('table headless', async function () {
-    const mdast = fromMarkdown('| --- |\n| bar |\n', {
-      extensions: [gfmTable()],
-      mdastExtensions: [gfmTableFromMarkdown()]
-    })
-
-    // Const hast = toHast(mdast, {
-    //   allowDangerousHtml: true,
-    //   handlers: gfmTableHastHandlers()
-    // })
-
-    // Const actualHtml = toHtml(hast, {
-    //   allowDangerousHtml: true,
-    //   characterReferences: {useNamedReferences: true},
-    //   closeSelfClosing: true
-    // })
-
-    const actualMarkdown = toMarkdown(mdast, {
-      extensions: [gfmTableToMarkdown()]
-    })
-
-    assert.deepEqual(actualMarkdown, '| --- |\n| bar |\n')
-  })
-
-  /** @type {Table} */
-  const minitable = {
-    type: 'table',
-    align: [null, 'left', 'center', 'right'],
-    children: [
+  await t.test('should support several head rows', async function () {
+    const tree = fromMarkdown(
+      '| > | Group | Other |\n| a | b | ^ |\n| - | - | - |\n| 1 | 2 | 3 |',
       {
-        type: 'tableHead',
-        children: [
-          {
-            type: 'tableRow',
-            children: [
-              {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
-              {type: 'tableCell', children: [{type: 'text', value: 'b'}]},
-              {type: 'tableCell', children: [{type: 'text', value: 'c'}]}
-            ]
-          }
-        ]
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown()]
       }
-    ]
-  }
-
-  const minitableDefault = toMarkdown(minitable, {
-    extensions: [gfmTableToMarkdown()]
-  })
-
-  await t.test('should serialize a table cell', async function () {
-    assert.deepEqual(
-      toMarkdown(
-        {
-          type: 'tableCell',
-          children: [
-            {type: 'text', value: 'a '},
-            {type: 'emphasis', children: [{type: 'text', value: 'b'}]},
-            {type: 'text', value: ' c.'}
-          ]
-        },
-        {extensions: [gfmTableToMarkdown()]}
-      ),
-      'a *b* c.\n'
     )
-  })
 
-  await t.test('should serialize a table row', async function () {
-    assert.deepEqual(
-      toMarkdown(
+    removePosition(tree, {force: true})
+
+    assert.deepEqual(tree, {
+      type: 'root',
+      children: [
         {
-          type: 'tableRow',
+          type: 'table',
+          align: [null, null, null],
           children: [
-            {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
             {
-              type: 'tableCell',
+              type: 'tableHead',
+              cols: 3,
               children: [
-                {type: 'text', value: 'b '},
-                {type: 'emphasis', children: [{type: 'text', value: 'c'}]},
-                {type: 'text', value: ' d.'}
-              ]
-            }
-          ]
-        },
-        {extensions: [gfmTableToMarkdown()]}
-      ),
-      '| a | b *c* d. |\n'
-    )
-  })
-
-  await t.test('should serialize a table', async function () {
-    assert.deepEqual(
-      toMarkdown(
-        {
-          type: 'table',
-          children: [
-            {
-              type: 'tableRow',
-              children: [
-                {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
                 {
-                  type: 'tableCell',
+                  type: 'tableRow',
                   children: [
-                    {type: 'text', value: 'b '},
-                    {type: 'emphasis', children: [{type: 'text', value: 'c'}]},
-                    {type: 'text', value: ' d.'}
-                  ]
+                    {
+                      type: 'tableCell',
+                      children: [{type: 'text', value: 'Group'}],
+                      data: {hName: 'th', hProperties: {colspan: 2}},
+                      colspan: 2
+                    },
+                    {
+                      type: 'tableCell',
+                      children: [{type: 'text', value: 'Other'}],
+                      data: {hName: 'th', hProperties: {rowspan: 2}},
+                      rowspan: 2
+                    }
+                  ],
+                  data: {hName: 'tr'}
+                },
+                {
+                  type: 'tableRow',
+                  children: [
+                    {
+                      type: 'tableCell',
+                      children: [{type: 'text', value: 'a'}],
+                      data: {hName: 'th'}
+                    },
+                    {
+                      type: 'tableCell',
+                      children: [{type: 'text', value: 'b'}],
+                      data: {hName: 'th'}
+                    }
+                  ],
+                  data: {hName: 'tr'}
                 }
-              ]
+              ],
+              data: {hName: 'thead'}
             },
             {
-              type: 'tableRow',
+              type: 'tableBody',
+              cols: 3,
               children: [
-                {type: 'tableCell', children: [{type: 'text', value: 'e'}]},
                 {
-                  type: 'tableCell',
-                  children: [{type: 'inlineCode', value: 'f'}]
+                  type: 'tableRow',
+                  children: [
+                    {
+                      type: 'tableCell',
+                      children: [{type: 'text', value: '1'}],
+                      data: {hName: 'td'}
+                    },
+                    {
+                      type: 'tableCell',
+                      children: [{type: 'text', value: '2'}],
+                      data: {hName: 'td'}
+                    },
+                    {
+                      type: 'tableCell',
+                      children: [{type: 'text', value: '3'}],
+                      data: {hName: 'td'}
+                    }
+                  ],
+                  data: {hName: 'tr'}
                 }
-              ]
+              ],
+              data: {hName: 'tbody'}
             }
-          ]
-        },
-        {extensions: [gfmTableToMarkdown()]}
-      ),
-      '| a | b *c* d. |\n| - | -------- |\n| e | `f`      |\n'
-    )
+          ],
+          data: {hName: 'table'}
+        }
+      ]
+    })
   })
-
-  await t.test('should align cells', async function () {
-    assert.deepEqual(
-      toMarkdown(
+  await t.test(
+    'should support a foot after a second delimiter row',
+    async function () {
+      const tree = fromMarkdown(
+        '| Item | Cost |\n| - | -: |\n| a | 1 |\n| --- | --: |\n| Total | 3 |',
         {
-          type: 'table',
-          align: [null, 'left', 'center', 'right'],
-          children: [
-            {
-              type: 'tableRow',
-              children: [
-                {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
-                {type: 'tableCell', children: [{type: 'text', value: 'b'}]},
-                {type: 'tableCell', children: [{type: 'text', value: 'c'}]},
-                {type: 'tableCell', children: [{type: 'text', value: 'd'}]}
-              ]
-            },
-            {
-              type: 'tableRow',
-              children: [
-                {type: 'tableCell', children: [{type: 'text', value: 'aaa'}]},
-                {type: 'tableCell', children: [{type: 'text', value: 'bbb'}]},
-                {type: 'tableCell', children: [{type: 'text', value: 'ccc'}]},
-                {type: 'tableCell', children: [{type: 'text', value: 'ddd'}]}
-              ]
-            }
-          ]
-        },
-        {extensions: [gfmTableToMarkdown()]}
-      ),
-      '| a   | b   |  c  |   d |\n| --- | :-- | :-: | --: |\n| aaa | bbb | ccc | ddd |\n'
-    )
-  })
+          extensions: [gfmTable()],
+          mdastExtensions: [gfmTableFromMarkdown({tableFoot: true})]
+        }
+      )
 
-  await t.test('should support `tableCellPadding: false`', async function () {
-    assert.deepEqual(
-      toMarkdown(minitable, {
-        extensions: [gfmTableToMarkdown({tableCellPadding: false})]
-      }),
-      '|a|b | c |\n|-|:-|:-:|\n'
-    )
-  })
+      removePosition(tree, {force: true})
+
+      assert.deepEqual(tree, {
+        type: 'root',
+        children: [
+          {
+            type: 'table',
+            align: [null, 'right'],
+            children: [
+              {
+                type: 'tableHead',
+                cols: 2,
+                children: [
+                  {
+                    type: 'tableRow',
+                    children: [
+                      {
+                        type: 'tableCell',
+                        children: [{type: 'text', value: 'Item'}],
+                        data: {hName: 'th'}
+                      },
+                      {
+                        type: 'tableCell',
+                        children: [{type: 'text', value: 'Cost'}],
+                        data: {hName: 'th', hProperties: {align: 'right'}}
+                      }
+                    ],
+                    data: {hName: 'tr'}
+                  }
+                ],
+                data: {hName: 'thead'}
+              },
+              {
+                type: 'tableBody',
+                cols: 2,
+                children: [
+                  {
+                    type: 'tableRow',
+                    children: [
+                      {
+                        type: 'tableCell',
+                        children: [{type: 'text', value: 'a'}],
+                        data: {hName: 'td'}
+                      },
+                      {
+                        type: 'tableCell',
+                        children: [{type: 'text', value: '1'}],
+                        data: {hName: 'td', hProperties: {align: 'right'}}
+                      }
+                    ],
+                    data: {hName: 'tr'}
+                  }
+                ],
+                data: {hName: 'tbody'}
+              },
+              {
+                type: 'tableFoot',
+                cols: 2,
+                children: [
+                  {
+                    type: 'tableRow',
+                    children: [
+                      {
+                        type: 'tableCell',
+                        children: [{type: 'text', value: 'Total'}],
+                        data: {hName: 'td'}
+                      },
+                      {
+                        type: 'tableCell',
+                        children: [{type: 'text', value: '3'}],
+                        data: {hName: 'td', hProperties: {align: 'right'}}
+                      }
+                    ],
+                    data: {hName: 'tr'}
+                  }
+                ],
+                data: {hName: 'tfoot'}
+              }
+            ],
+            data: {hName: 'table'}
+          }
+        ]
+      })
+    }
+  )
 
   await t.test(
-    'should support `tableCellPadding: true` (default)',
+    'should not support a foot without rows after a second delimiter row',
     async function () {
+      const tree = fromMarkdown('| a |\n| - |\n| b |\n| - |', {
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown({tableFoot: true})]
+      })
+
+      const table = tree.children[0]
+      assert(table.type === 'table')
+
       assert.deepEqual(
-        toMarkdown(minitable, {
-          extensions: [gfmTableToMarkdown({tableCellPadding: true})]
-        }),
-        minitableDefault
+        table.children.map((d) => d.type),
+        ['tableHead', 'tableBody']
       )
     }
   )
 
-  await t.test('should support `tablePipeAlign: false`', async function () {
-    assert.deepEqual(
-      toMarkdown(minitable, {
-        extensions: [gfmTableToMarkdown({tablePipeAlign: false})]
-      }),
-      '| a | b | c |\n| - | :- | :-: |\n'
-    )
-  })
-
   await t.test(
-    'should support `tablePipeAlign: true` (default)',
+    'should not support a foot when `tableFoot` is off',
     async function () {
+      const tree = fromMarkdown(
+        '| a | b |\n| - | - |\n| c | d |\n| - | - |\n| e | f |',
+        {
+          extensions: [gfmTable()],
+          mdastExtensions: [gfmTableFromMarkdown()]
+        }
+      )
+
+      const table = tree.children[0]
+      assert(table.type === 'table')
+      const body = table.children[1]
+      assert(body.type === 'tableBody')
+
       assert.deepEqual(
-        toMarkdown(minitable, {
-          extensions: [gfmTableToMarkdown({tablePipeAlign: true})]
-        }),
-        minitableDefault
+        table.children.map((d) => d.type),
+        ['tableHead', 'tableBody']
+      )
+      assert.deepEqual(
+        body.children.map((row) => row.children.map((d) => toString(d))),
+        [
+          ['c', 'd'],
+          ['-', '-'],
+          ['e', 'f']
+        ]
       )
     }
   )
 
-  await t.test('should support `stringLength`', async function () {
+  await t.test('should keep rows of escaped dashes as rows', async function () {
+    const table = {
+      type: 'table',
+      align: [null, null],
+      children: [
+        {type: 'tableRow', children: [cell('a'), cell('b')]},
+        {type: 'tableRow', children: [cell('-'), cell('-')]},
+        {type: 'tableRow', children: [cell('c'), cell('d')]}
+      ]
+    }
+    const value = serialize(table)
+    const tree = fromMarkdown(value, {
+      extensions: [gfmTable()],
+      mdastExtensions: [gfmTableFromMarkdown({tableFoot: true})]
+    })
+    const result = tree.children[0]
+    assert(result.type === 'table')
+
     assert.deepEqual(
-      toMarkdown(
-        {
-          type: 'table',
-          align: [],
-          children: [
-            {
-              type: 'tableRow',
-              children: [
-                {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
-                {type: 'tableCell', children: [{type: 'text', value: '古'}]},
-                {type: 'tableCell', children: [{type: 'text', value: '🤔'}]}
-              ]
-            }
-          ]
-        },
-        {extensions: [gfmTableToMarkdown({stringLength: stringWidth})]}
-      ),
-      '| a | 古 | 🤔 |\n| - | -- | -- |\n'
+      result.children.map((d) => d.type),
+      ['tableHead', 'tableBody']
+    )
+    assert.deepEqual(
+      toMarkdown(tree, {extensions: [gfmTableToMarkdown()]}),
+      value
     )
   })
 
   await t.test(
-    'should escape the leading pipe in what would start or continue a table',
+    'should support a `Table:` caption before a table',
     async function () {
-      assert.deepEqual(
-        toMarkdown(
-          {
-            type: 'paragraph',
-            children: [{type: 'text', value: '| a |\n| - |'}]
-          },
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        '\\| a |\n\\| - |\n'
-      )
-    }
-  )
+      const tree = fromMarkdown('Table: *Costs*\n\n| a |\n| - |\n| b |', {
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown({tableCaption: true})]
+      })
 
-  await t.test(
-    'should escape the leading dash in what could start a delimiter row (done by list dash)',
-    async function () {
-      assert.deepEqual(
-        toMarkdown(
-          {type: 'paragraph', children: [{type: 'text', value: 'a|\n-|'}]},
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        'a|\n\\-|\n'
-      )
+      removePosition(tree, {force: true})
+
+      const table = tree.children[0]
+      assert(table.type === 'table')
+
+      assert.deepEqual(tree.children.length, 1)
+      assert.deepEqual(table.children[0], {
+        type: 'tableCaption',
+        children: [
+          {type: 'emphasis', children: [{type: 'text', value: 'Costs'}]}
+        ],
+        data: {hName: 'caption'}
+      })
     }
   )
 
+  await t.test('should support a `[caption]` after a table', async function () {
+    const tree = fromMarkdown('| a |\n| - |\n| b |\n\n[Costs]', {
+      extensions: [gfmTable()],
+      mdastExtensions: [gfmTableFromMarkdown({tableCaption: true})]
+    })
+
+    removePosition(tree, {force: true})
+
+    const table = tree.children[0]
+    assert(table.type === 'table')
+
+    assert.deepEqual(tree.children.length, 1)
+    assert.deepEqual(table.children[0], {
+      type: 'tableCaption',
+      children: [{type: 'text', value: 'Costs'}],
+      data: {hName: 'caption'}
+    })
+  })
+
   await t.test(
-    'should escape the leading colon in what could start a delimiter row',
+    'should support a `:` caption ending in markup',
     async function () {
-      assert.deepEqual(
-        toMarkdown(
-          {type: 'paragraph', children: [{type: 'text', value: 'a\n:-'}]},
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        'a\n\\:-\n'
-      )
+      const tree = fromMarkdown('| a |\n| - |\n| b |\n\n: Sales **2024**', {
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown({tableCaption: true})]
+      })
+
+      removePosition(tree, {force: true})
+
+      const table = tree.children[0]
+      assert(table.type === 'table')
+
+      assert.deepEqual(tree.children.length, 1)
+      assert.deepEqual(table.children[0], {
+        type: 'tableCaption',
+        children: [
+          {type: 'text', value: 'Sales '},
+          {type: 'strong', children: [{type: 'text', value: '2024'}]}
+        ],
+        data: {hName: 'caption'}
+      })
     }
   )
 
+  await t.test('should not support captions by default', async function () {
+    const tree = fromMarkdown('Table: Costs\n\n| a |\n| - |\n| b |', {
+      extensions: [gfmTable()],
+      mdastExtensions: [gfmTableFromMarkdown()]
+    })
+
+    assert.deepEqual(
+      tree.children.map((d) => d.type),
+      ['paragraph', 'table']
+    )
+  })
+
   await t.test(
-    'should not escape a backslash in code in a table cell',
+    'should not turn other paragraphs into captions',
     async function () {
+      const tree = fromMarkdown('Costs\n\n| a |\n| - |\n| b |\n\nmore', {
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown({tableCaption: true})]
+      })
+
       assert.deepEqual(
-        toMarkdown(
-          {type: 'tableCell', children: [{type: 'inlineCode', value: 'a\\b'}]},
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        '`a\\b`\n'
+        tree.children.map((d) => d.type),
+        ['paragraph', 'table', 'paragraph']
       )
     }
   )
 
   await t.test(
-    'should not escape an “escaped” backslash in code in a table cell',
+    'should scope headers spanning several columns or rows',
     async function () {
-      assert.deepEqual(
-        toMarkdown(
-          {
-            type: 'tableCell',
-            children: [{type: 'inlineCode', value: 'a\\\\b'}]
-          },
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        '`a\\\\b`\n'
+      const tree = fromMarkdown(
+        '| > | Q |\n| - | - |\n| a | 1 |\n| ^ | 2 |\n| b | 3 |',
+        {
+          extensions: [gfmTable()],
+          mdastExtensions: [
+            gfmTableFromMarkdown({tableHeaderScope: true, tableRowHeaders: 1})
+          ]
+        }
       )
+
+      removePosition(tree, {force: true})
+
+      const table = tree.children[0]
+      assert(table.type === 'table')
+
+      const data = []
+
+      for (const section of table.children) {
+        assert(section.type !== 'tableRow' && section.type !== 'tableCaption')
+        data.push(
+          section.children.map(function (row) {
+            return row.children.map((cell) => cell.data)
+          })
+        )
+      }
+
+      assert.deepEqual(data, [
+        [[{hName: 'th', hProperties: {colspan: 2, scope: 'colgroup'}}]],
+        [
+          [
+            {hName: 'th', hProperties: {rowspan: 2, scope: 'rowgroup'}},
+            {hName: 'td'}
+          ],
+          [{hName: 'td'}],
+          [{hName: 'th', hProperties: {scope: 'row'}}, {hName: 'td'}]
+        ]
+      ])
     }
   )
 
-  await t.test(
-    'should not escape an “escaped” other punctuation character in code in a table cell',
-    async function () {
-      assert.deepEqual(
-        toMarkdown(
-          {type: 'tableCell', children: [{type: 'inlineCode', value: 'a\\+b'}]},
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        '`a\\+b`\n'
-      )
+  await t.test('should warn about dangling span markers', async function () {
+    /** @type {Array<[string, number | undefined, string]>} */
+    const messages = []
+
+    fromMarkdown('| < | a | > |\n| - | - | - |\n| b | c | d |', {
+      extensions: [gfmTable()],
+      mdastExtensions: [
+        gfmTableFromMarkdown({
+          onWarning(reason, options) {
+            messages.push([
+              options.ruleId,
+              options.place && options.place.start.line,
+              options.source
+            ])
+            assert.equal(typeof reason, 'string')
+          }
+        })
+      ]
+    })
+
+    assert.deepEqual(messages, [
+      ['dangling-colspan', 1, 'mdast-util-gfm-table'],
+      ['dangling-colspan', 1, 'mdast-util-gfm-table']
+    ])
+  })
+
+  await t.test('should warn about structure problems', async function () {
+    /** @type {Array<string>} */
+    const rules = []
+
+    fromMarkdown(
+      '| ^ | a | b |\n| - | - | - |\n| c | > | < |\n| 0 | > | 2 |\n| > | 4 | ^ |\n| 5 | 6 | 7 | 8 |',
+      {
+        extensions: [gfmTable()],
+        mdastExtensions: [
+          gfmTableFromMarkdown({
+            onWarning(_, options) {
+              rules.push(options.ruleId)
+            }
+          })
+        ]
+      }
+    )
+
+    assert.deepEqual(rules.sort(), [
+      'conflicting-colspan',
+      'dangling-rowspan',
+      'overlapping-span',
+      'ragged-row'
+    ])
+  })
+
+  await t.test('should support turning span kinds off', async function () {
+    const tree = fromMarkdown('| a | ^^ |\n| - | -- |\n| ^ | > |\n| b | < |', {
+      extensions: [gfmTable()],
+      mdastExtensions: [
+        gfmTableFromMarkdown({
+          tableColspanLeft: false,
+          tableColspanRight: false,
+          tableRowspan: false
+        })
+      ]
+    })
+
+    const table = tree.children[0]
+    assert(table.type === 'table')
+
+    /** @type {Array<Array<string>>} */
+    const values = []
+
+    for (const section of table.children) {
+      assert(section.type === 'tableHead' || section.type === 'tableBody')
+      for (const row of section.children) {
+        values.push(row.children.map((d) => toString(d)))
+      }
     }
-  )
 
+    assert.deepEqual(values, [
+      ['a', '^^'],
+      ['^', '>'],
+      ['b', '<']
+    ])
+  })
   await t.test(
-    'should not escape a pipe character in code *not* in a table cell',
+    'should support `tableDialect: multimarkdown`',
     async function () {
-      assert.deepEqual(
-        toMarkdown(
-          {type: 'inlineCode', value: 'a|b'},
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        '`a|b`\n'
-      )
+      const tree = fromMarkdown('| a || ^ |\n| - | - | - |\n| > | < | b |', {
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown({tableDialect: 'multimarkdown'})]
+      })
+
+      const table = tree.children[0]
+      assert(table.type === 'table')
+
+      /** @type {Array<Array<[string, number | undefined]>>} */
+      const values = []
+
+      for (const section of table.children) {
+        assert(section.type === 'tableHead' || section.type === 'tableBody')
+        for (const row of section.children) {
+          values.push(row.children.map((d) => [toString(d), d.colspan]))
+        }
+      }
+
+      assert.deepEqual(values, [
+        [
+          ['a', 2],
+          ['^', undefined]
+        ],
+        [
+          ['>', undefined],
+          ['<', undefined],
+          ['b', undefined]
+        ]
+      ])
     }
   )
+  await t.test('should support grid tables (`tableGrid`)', async function () {
+    const tree = fromMarkdown(
+      [
+        '+-------+-----+',
+        '| a     | b   |',
+        '+=======+:===:+',
+        '| - c   | d   |',
+        '| - e   |     |',
+        '+-------+     +',
+        '| f     |     |',
+        '+-------+-----+',
+        '| g           |',
+        '+=======+=====+',
+        '| h     | i   |',
+        '+=======+=====+'
+      ].join('\n'),
+      {mdastExtensions: [gfmTableFromMarkdown({tableGrid: true})]}
+    )
 
-  await t.test(
-    'should escape a pipe character in code in a table cell',
-    async function () {
-      assert.deepEqual(
-        toMarkdown(
-          {type: 'tableCell', children: [{type: 'inlineCode', value: 'a|b'}]},
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        '`a\\|b`\n'
-      )
+    const table = tree.children[0]
+    assert(table.type === 'table')
+    assert.deepEqual(table.align, [null, 'center'])
+    assert.deepEqual(table.data, {hName: 'table', tableFormat: 'grid'})
+
+    /** @type {Array<[string, Array<[string, number, number]>]>} */
+    const values = []
+
+    for (const section of table.children) {
+      assert(section.type !== 'tableRow' && section.type !== 'tableCaption')
+      for (const row of section.children) {
+        values.push([
+          section.type,
+          row.children.map((d) => [toString(d), d.colspan ?? 1, d.rowspan ?? 1])
+        ])
+      }
     }
-  )
 
-  await t.test('should escape eols in a table cell', async function () {
-    assert.deepEqual(
-      toMarkdown(
-        {type: 'tableCell', children: [{type: 'text', value: 'a\nb'}]},
-        {extensions: [gfmTableToMarkdown()]}
-      ),
-      'a&#xA;b\n'
-    )
+    assert.deepEqual(values, [
+      [
+        'tableHead',
+        [
+          ['a', 1, 1],
+          ['b', 1, 1]
+        ]
+      ],
+      [
+        'tableBody',
+        [
+          ['', 1, 1],
+          ['d', 1, 2]
+        ]
+      ],
+      ['tableBody', [['f', 1, 1]]],
+      ['tableBody', [['g', 2, 1]]],
+      [
+        'tableFoot',
+        [
+          ['h', 1, 1],
+          ['i', 1, 1]
+        ]
+      ]
+    ])
+
+    const body = table.children[1]
+    assert(body.type === 'tableBody')
+    const list = body.children[0].children[0].children[0]
+    assert.equal(list.type, 'list')
+    assert.deepEqual(list.position, {
+      start: {line: 4, column: 3, offset: 50},
+      end: {line: 5, column: 6, offset: 69}
+    })
   })
 
   await t.test(
-    'should escape phrasing characters in table cells',
+    'should parse cells with the syntax of the document (`tableExtensions`)',
     async function () {
+      const value = gridTable([
+        ['a', 'b'],
+        ['| x |\n| - |\n| 1 |', 'c']
+      ])
+      const options = {
+        tableGrid: true,
+        tableExtensions: [gfmTable()],
+        tableMdastExtensions: [gfmTableFromMarkdown()]
+      }
+      const tree = fromMarkdown(value, {
+        mdastExtensions: [gfmTableFromMarkdown(options)]
+      })
+      const table = tree.children[0]
+      assert(table.type === 'table')
+      const body = table.children[1]
+      assert(body.type === 'tableBody')
+
       assert.deepEqual(
-        toMarkdown(
-          {
-            type: 'tableRow',
-            children: [
-              {type: 'tableCell', children: [{type: 'text', value: '<a>'}]},
-              {type: 'tableCell', children: [{type: 'text', value: '*a'}]},
-              {type: 'tableCell', children: [{type: 'text', value: '![]()'}]}
-            ]
-          },
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        '| \\<a> | \\*a | !\\[]\\() |\n'
+        body.children[0].children[0].children.map((d) => d.type),
+        ['table']
       )
     }
   )
 
-  await t.test('should escape pipes in a table cell', async function () {
-    assert.deepEqual(
-      toMarkdown(
-        {type: 'tableCell', children: [{type: 'text', value: 'a|b'}]},
-        {extensions: [gfmTableToMarkdown()]}
-      ),
-      'a\\|b\n'
-    )
+  await t.test('should not parse grid tables by default', async function () {
+    const tree = fromMarkdown('+---+\n| a |\n+---+')
+
+    assert.equal(tree.children[0].type, 'paragraph')
   })
 
+  await t.test('should not parse broken grid tables', async function () {
+    const tree = fromMarkdown('+---+---+\n| a |\n+---+---+', {
+      mdastExtensions: [gfmTableFromMarkdown({tableGrid: true})]
+    })
+
+    assert.equal(tree.children[0].type, 'paragraph')
+  })
   await t.test(
-    'should escape multiple pipes in inline code in a table cell',
+    'should support multiline rows (`tableMultiline`)',
     async function () {
-      assert.deepEqual(
-        toMarkdown(
-          {type: 'tableCell', children: [{type: 'inlineCode', value: 'a|b|c'}]},
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        '`a\\|b\\|c`\n'
+      const tree = fromMarkdown(
+        '| a | b |\n| - | - |\n| x | - one | \\\n|   | - two |\n| y | z |',
+        {
+          extensions: [gfmTable()],
+          mdastExtensions: [gfmTableFromMarkdown({tableMultiline: true})]
+        }
       )
+
+      removePosition(tree, {force: true})
+      const table = tree.children[0]
+      assert(table.type === 'table')
+      const body = table.children[1]
+      assert(body.type === 'tableBody')
+
+      assert.equal(body.children.length, 2)
+      assert.deepEqual(body.children[0].children[1].children, [
+        {
+          type: 'list',
+          ordered: false,
+          start: null,
+          spread: false,
+          children: [
+            {
+              type: 'listItem',
+              spread: false,
+              checked: null,
+              children: [
+                {type: 'paragraph', children: [{type: 'text', value: 'one'}]}
+              ]
+            },
+            {
+              type: 'listItem',
+              spread: false,
+              checked: null,
+              children: [
+                {type: 'paragraph', children: [{type: 'text', value: 'two'}]}
+              ]
+            }
+          ]
+        }
+      ])
     }
   )
-
   await t.test(
-    'should escape multiple pipes in a table cell',
+    'should support column widths (`tableWidths`)',
     async function () {
-      assert.deepEqual(
-        toMarkdown(
-          {type: 'tableCell', children: [{type: 'text', value: 'a|b|c'}]},
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        'a\\|b\\|c\n'
+      const tree = fromMarkdown(
+        '| a | b | c |\n| :-- | ------ | --: |\n| 1 | 2 | 3 |',
+        {
+          extensions: [gfmTable()],
+          mdastExtensions: [gfmTableFromMarkdown({tableWidths: true})]
+        }
       )
+
+      const table = tree.children[0]
+      assert(table.type === 'table')
+      assert.deepEqual(table.data, {
+        hName: 'table',
+        tableWidths: [0.2, 0.6, 0.2]
+      })
     }
   )
-
   await t.test(
-    'should escape adjacent pipes in a table cell',
+    'should support attribute blocks (`tableAttributes`)',
     async function () {
-      assert.deepEqual(
-        toMarkdown(
-          {type: 'tableCell', children: [{type: 'inlineCode', value: 'a||b'}]},
-          {extensions: [gfmTableToMarkdown()]}
-        ),
-        '`a\\|\\|b`\n'
+      const tree = fromMarkdown(
+        '| a | b {.x #y} |\n| :- | - |\n| **1** {.total data-k="a b"} | 2 | {.row}\n| 3 {align=right} | {z}',
+        {
+          extensions: [gfmTable()],
+          mdastExtensions: [gfmTableFromMarkdown({tableAttributes: true})]
+        }
+      )
+
+      removePosition(tree, {force: true})
+      const table = tree.children[0]
+      assert(table.type === 'table')
+      const head = table.children[0]
+      const body = table.children[1]
+      assert(head.type === 'tableHead')
+      assert(body.type === 'tableBody')
+
+      assert.deepEqual(head.children[0].children[1], {
+        type: 'tableCell',
+        children: [{type: 'text', value: 'b'}],
+        data: {hName: 'th', hProperties: {id: 'y', className: ['x']}}
+      })
+      assert.deepEqual(body.children[0].data, {
+        hName: 'tr',
+        hProperties: {className: ['row']}
+      })
+      assert.deepEqual(body.children[0].children[0].data, {
+        hName: 'td',
+        hProperties: {'data-k': 'a b', className: ['total'], align: 'left'}
+      })
+      assert.deepEqual(body.children[1].children[0].data, {
+        hName: 'td',
+        hProperties: {align: 'right'}
+      })
+      assert.deepEqual(body.children[1].children[1].children, [
+        {type: 'text', value: '{z}'}
+      ])
+    }
+  )
+  await t.test(
+    'should support spans in attribute blocks (`tableAttributes`)',
+    async function () {
+      /** @type {Array<string>} */
+      const rules = []
+      const tree = fromMarkdown(
+        '| a | b |\n| - | - |\n| c {colspan=2} | |\n| d {rowspan=2} | e |\n| | f |\n| g {colspan=2} | h |',
+        {
+          extensions: [gfmTable()],
+          mdastExtensions: [
+            gfmTableFromMarkdown({
+              tableAttributes: true,
+              onWarning(_, options) {
+                rules.push(options.ruleId)
+              }
+            })
+          ]
+        }
       )
+
+      const table = tree.children[0]
+      assert(table.type === 'table')
+      const body = table.children[1]
+      assert(body.type === 'tableBody')
+
       assert.deepEqual(
-        toMarkdown(
-          {type: 'tableCell', children: [{type: 'text', value: 'a||b'}]},
-          {extensions: [gfmTableToMarkdown()]}
+        body.children.map((row) =>
+          row.children.map((d) => [toString(d), d.colspan, d.rowspan])
         ),
-        'a\\|\\|b\n'
+        [
+          [['c', 2, undefined]],
+          [
+            ['d', undefined, 2],
+            ['e', undefined, undefined]
+          ],
+          [['f', undefined, undefined]],
+          [['g', 2, undefined]]
+        ]
+      )
+      assert.deepEqual(rules, ['overlapping-span'])
+      assert.deepEqual(
+        toMarkdown(tree, {
+          extensions: [gfmTableToMarkdown({tableAttributes: true})]
+        }),
+        '| a | b |\n| - | - |\n| c | < |\n| d | e |\n| ^ | f |\n| g | < |\n'
       )
     }
   )
-})
+  await t.test(
+    'should write back `align` from attribute blocks',
+    async function () {
+      const value =
+        '| a |              b |\n| - | -------------: |\n| 1 | 2 {align=left} |\n| 3 |              4 |\n'
+      const tree = fromMarkdown(value, {
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown({tableAttributes: true})]
+      })
 
-test('markdownTable', async function (t) {
-  await t.test('should create a table', async function () {
-    assert.equal(
-      markdownTable([
-        ['Branch', 'Commit'],
-        ['main', '0123456789abcdef'],
-        ['staging', 'fedcba9876543210']
-      ]),
-      [
-        '| Branch  | Commit           |',
-        '| ------- | ---------------- |',
-        '| main    | 0123456789abcdef |',
-        '| staging | fedcba9876543210 |'
-      ].join('\n')
-    )
-  })
+      assert.deepEqual(
+        toMarkdown(tree, {
+          extensions: [gfmTableToMarkdown({tableAttributes: true})]
+        }),
+        value
+      )
+    }
+  )
+  await t.test(
+    'should support attribute lines after tables (`tableAttributes`)',
+    async function () {
+      const tree = fromMarkdown(
+        '| a | b |\n| - | - |\n| 1 | 2 |\n{#pricing .compact}',
+        {
+          extensions: [gfmTable()],
+          mdastExtensions: [
+            gfmTableFromMarkdown({
+              tableAttributes: true,
+              tableProperties: {className: ['table', 'compact']}
+            })
+          ]
+        }
+      )
 
-  await t.test('should serialize values', async function () {
-    assert.equal(
-      markdownTable([
-        ['Type', 'Value'],
-        ['string', 'alpha'],
-        // @ts-expect-error: check handling of primitives.
-        ['number', 1],
-        // @ts-expect-error: check handling of primitives.
-        ['boolean', true],
-        ['undefined', undefined],
-        ['null', null],
-        // @ts-expect-error: check handling of other values.
-        ['Array', [1, 2, 3]]
-      ]),
-      [
-        '| Type      | Value |',
-        '| --------- | ----- |',
-        '| string    | alpha |',
-        '| number    | 1     |',
-        '| boolean   | true  |',
-        '| undefined |       |',
-        '| null      |       |',
-        '| Array     | 1,2,3 |'
-      ].join('\n')
-    )
-  })
+      const table = tree.children[0]
+      assert(table.type === 'table')
+      const body = table.children[1]
+      assert(body.type === 'tableBody')
+      assert.equal(body.children.length, 1)
+      assert.deepEqual(table.data, {
+        hName: 'table',
+        tableProperties: {className: ['table', 'compact']},
+        hProperties: {id: 'pricing', className: ['compact']}
+      })
+      assert.deepEqual(table.position?.end, {line: 3, column: 10, offset: 29})
+      assert.deepEqual(
+        toHtml(toHast(tree, {handlers: gfmTableHastHandlers()})).split('\n')[0],
+        '<table class="table compact" id="pricing">'
+      )
+      assert.deepEqual(
+        toMarkdown(tree, {
+          extensions: [gfmTableToMarkdown({tableAttributes: true})]
+        }),
+        '| a | b |\n| - | - |\n| 1 | 2 |\n{#pricing .compact}\n'
+      )
+    }
+  )
 
   await t.test(
-    'should work correctly when cells are missing',
+    'should support attribute lines after grid tables',
     async function () {
-      assert.equal(
-        markdownTable(
-          [
-            ['A', 'B', 'C'],
-            ['a', 'b', 'c'],
-            ['a', 'b'],
-            ['a'],
-            [],
-            ['a', 'b', ''],
-            ['', 'b', 'c'],
-            ['a', '', ''],
-            ['', '', 'c'],
-            ['', '', '']
-          ],
-          {align: 'c'}
-        ),
-        [
-          '|  A  |  B  |  C  |',
-          '| :-: | :-: | :-: |',
-          '|  a  |  b  |  c  |',
-          '|  a  |  b  |     |',
-          '|  a  |     |     |',
-          '|     |     |     |',
-          '|  a  |  b  |     |',
-          '|     |  b  |  c  |',
-          '|  a  |     |     |',
-          '|     |     |  c  |',
-          '|     |     |     |'
-        ].join('\n')
-      )
+      const tree = fromMarkdown('+---+\n| x |\n+---+\n{.grid}', {
+        mdastExtensions: [
+          gfmTableFromMarkdown({
+            tableGrid: true,
+            tableAttributes: true,
+            tableProperties: {dataKind: 'data'}
+          })
+        ]
+      })
+
+      const table = tree.children[0]
+      assert(table.type === 'table')
+      assert.deepEqual(table.data, {
+        hName: 'table',
+        tableFormat: 'grid',
+        tableProperties: {dataKind: 'data'},
+        hProperties: {className: ['grid']}
+      })
     }
   )
 
-  await t.test('should align left and right', async function () {
-    assert.equal(
-      markdownTable(
-        [
-          ['Beep', 'No.'],
-          ['boop', '33450'],
-          ['foo', '1006'],
-          ['bar', '45']
-        ],
-        {align: ['l', 'r']}
-      ),
-      [
-        '| Beep |   No. |',
-        '| :--- | ----: |',
-        '| boop | 33450 |',
-        '| foo  |  1006 |',
-        '| bar  |    45 |'
-      ].join('\n')
+  await t.test('should compute formulas', async function () {
+    const tree = fromMarkdown(
+      '| Item | Cost |\n| - | -: |\n| a | 1,200 |\n| b | 3.5 |\n| Total | =SUM(above) |',
+      {
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown({tableFormulas: true})]
+      }
     )
+    const table = tree.children[0]
+    assert(table.type === 'table')
+    const body = table.children[1]
+    assert(body.type === 'tableBody')
+    const cell = body.children[2].children[1]
+
+    assert.deepEqual(toString(cell), '1203.5')
+    assert.deepEqual(cell.data && cell.data.tableFormula, '=SUM(above)')
   })
 
-  await t.test('should align center', async function () {
-    assert.equal(
-      markdownTable(
-        [
-          ['Beep', 'No.', 'Boop'],
-          ['beep', '1024', 'xyz'],
-          ['boop', '3388450', 'tuv'],
-          ['foo', '10106', 'qrstuv'],
-          ['bar', '45', 'lmno']
-        ],
-        {align: ['l', 'c', 'l']}
-      ),
-      [
-        '| Beep |   No.   | Boop   |',
-        '| :--- | :-----: | :----- |',
-        '| beep |   1024  | xyz    |',
-        '| boop | 3388450 | tuv    |',
-        '| foo  |  10106  | qrstuv |',
-        '| bar  |    45   | lmno   |'
-      ].join('\n')
+  await t.test('should warn about formulas', async function () {
+    /** @type {Array<[string, number | undefined]>} */
+    const messages = []
+    const tree = fromMarkdown(
+      gridTable([
+        ['a', 'b', 'c'],
+        ['1', '=(A2 + 3) * 2', '=AVG(left)'],
+        ['=B3', '=A3', '=FOO(1)']
+      ]),
+      {
+        mdastExtensions: [
+          gfmTableFromMarkdown({
+            tableGrid: true,
+            tableFormulas: true,
+            onWarning(_, options) {
+              messages.push([
+                options.ruleId,
+                options.place && options.place.start.line
+              ])
+            }
+          })
+        ]
+      }
     )
-  })
+    const table = tree.children[0]
+    assert(table.type === 'table')
 
-  await t.test('should accept a single value', async function () {
-    assert.equal(
-      markdownTable(
-        [
-          ['Very long', 'Even longer'],
-          ['boop', '33450'],
-          ['foo', '1006'],
-          ['bar', '45']
-        ],
-        {align: 'c'}
+    assert.deepEqual(
+      table.children.flatMap((section) =>
+        'cols' in section
+          ? section.children.flatMap((row) =>
+              row.children.map((d) => toString(d))
+            )
+          : []
       ),
-      [
-        '| Very long | Even longer |',
-        '| :-------: | :---------: |',
-        '|    boop   |    33450    |',
-        '|    foo    |     1006    |',
-        '|    bar    |      45     |'
-      ].join('\n')
+      ['a', 'b', 'c', '1', '8', '4.5', '=B3', '=A3', '=FOO(1)']
     )
+    assert.deepEqual(messages, [
+      ['circular-formula', 5],
+      ['circular-formula', 5],
+      ['invalid-formula', 5]
+    ])
   })
 
-  await t.test('should accept multi-character values', async function () {
-    assert.equal(
-      markdownTable(
-        [
-          ['Beep', 'No.', 'Boop'],
-          ['beep', '1024', 'xyz'],
-          ['boop', '3388450', 'tuv'],
-          ['foo', '10106', 'qrstuv'],
-          ['bar', '45', 'lmno']
-        ],
-        {align: ['left', 'center', 'right']}
-      ),
-      [
-        '| Beep |   No.   |   Boop |',
-        '| :--- | :-----: | -----: |',
-        '| beep |   1024  |    xyz |',
-        '| boop | 3388450 |    tuv |',
-        '| foo  |  10106  | qrstuv |',
-        '| bar  |    45   |   lmno |'
-      ].join('\n')
+  await t.test('should warn about skipped cells', async function () {
+    /** @type {Array<[string | undefined, string]>} */
+    const messages = []
+    const tree = fromMarkdown(
+      gridTable([
+        ['Item', 'Cost', 'Tax'],
+        ['a', '$10', '1'],
+        ['b', '2', ''],
+        ['Total', '=SUM(above)', '=SUM(C2:C3) + B2']
+      ]),
+      {
+        mdastExtensions: [
+          gfmTableFromMarkdown({
+            tableGrid: true,
+            tableFormulas: true,
+            onWarning(reason, options) {
+              messages.push([options.ruleId, reason])
+            }
+          })
+        ]
+      }
     )
-  })
+    const table = tree.children[0]
+    assert(table.type === 'table')
+    const body = table.children[1]
+    assert(body.type === 'tableBody')
 
-  await t.test('should create a table without padding', async function () {
-    assert.equal(
-      markdownTable(
-        [
-          ['Branch', 'Commit'],
-          ['main', '0123456789abcdef'],
-          ['staging', 'fedcba9876543210']
-        ],
-        {padding: false}
-      ),
-      [
-        '|Branch |Commit          |',
-        '|-------|----------------|',
-        '|main   |0123456789abcdef|',
-        '|staging|fedcba9876543210|'
-      ].join('\n')
+    assert.deepEqual(
+      body.children[2].children.map((d) => toString(d)),
+      ['Total', '2', '=SUM(C2:C3) + B2']
     )
+    assert.deepEqual(messages, [
+      ['skipped-cell', 'Skipped `B2` in `=SUM(above)` in `B4`: not a number'],
+      [
+        'invalid-formula',
+        'Cannot compute `=SUM(C2:C3) + B2` in `C4`: `B2` is not a number'
+      ]
+    ])
   })
+})
 
-  await t.test(
-    'should create a table without aligned delimiters',
-    async function () {
-      assert.equal(
+test('gfmTableToMarkdown', async function (t) {
+  await t.test('table headless', async function () {
+    const mdast = fromMarkdown('| --- |\n| bar |\n', {
+      extensions: [gfmTable()],
+      mdastExtensions: [gfmTableFromMarkdown()]
+    })
+
+    // Const hast = toHast(mdast, {
+    //   allowDangerousHtml: true,
+    //   handlers: gfmTableHastHandlers()
+    // })
+
+    // Const actualHtml = toHtml(hast, {
+    //   allowDangerousHtml: true,
+    //   characterReferences: {useNamedReferences: true},
+    //   closeSelfClosing: true
+    // })
+
+    const actualMarkdown = toMarkdown(mdast, {
+      extensions: [gfmTableToMarkdown()]
+    })
+
+    assert.deepEqual(actualMarkdown, '| --- |\n| bar |\n')
+  })
+
+  /** @type {Table} */
+  const minitable = {
+    type: 'table',
+    align: [null, 'left', 'center', 'right'],
+    children: [
+      {
+        type: 'tableHead',
+        children: [
+          {
+            type: 'tableRow',
+            children: [
+              {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
+              {type: 'tableCell', children: [{type: 'text', value: 'b'}]},
+              {type: 'tableCell', children: [{type: 'text', value: 'c'}]}
+            ]
+          }
+        ]
+      }
+    ]
+  }
+
+  const minitableDefault = toMarkdown(minitable, {
+    extensions: [gfmTableToMarkdown()]
+  })
+
+  await t.test('should serialize a table cell', async function () {
+    assert.deepEqual(
+      toMarkdown(
+        {
+          type: 'tableCell',
+          children: [
+            {type: 'text', value: 'a '},
+            {type: 'emphasis', children: [{type: 'text', value: 'b'}]},
+            {type: 'text', value: ' c.'}
+          ]
+        },
+        {extensions: [gfmTableToMarkdown()]}
+      ),
+      'a *b* c.\n'
+    )
+  })
+
+  await t.test('should serialize a table row', async function () {
+    assert.deepEqual(
+      toMarkdown(
+        {
+          type: 'tableRow',
+          children: [
+            {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
+            {
+              type: 'tableCell',
+              children: [
+                {type: 'text', value: 'b '},
+                {type: 'emphasis', children: [{type: 'text', value: 'c'}]},
+                {type: 'text', value: ' d.'}
+              ]
+            }
+          ]
+        },
+        {extensions: [gfmTableToMarkdown()]}
+      ),
+      '| a | b *c* d. |\n'
+    )
+  })
+
+  await t.test('should serialize a table', async function () {
+    assert.deepEqual(
+      toMarkdown(
+        {
+          type: 'table',
+          children: [
+            {
+              type: 'tableRow',
+              children: [
+                {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
+                {
+                  type: 'tableCell',
+                  children: [
+                    {type: 'text', value: 'b '},
+                    {type: 'emphasis', children: [{type: 'text', value: 'c'}]},
+                    {type: 'text', value: ' d.'}
+                  ]
+                }
+              ]
+            },
+            {
+              type: 'tableRow',
+              children: [
+                {type: 'tableCell', children: [{type: 'text', value: 'e'}]},
+                {
+                  type: 'tableCell',
+                  children: [{type: 'inlineCode', value: 'f'}]
+                }
+              ]
+            }
+          ]
+        },
+        {extensions: [gfmTableToMarkdown()]}
+      ),
+      '| a | b *c* d. |\n| - | -------- |\n| e | `f`      |\n'
+    )
+  })
+
+  await t.test('should align cells', async function () {
+    assert.deepEqual(
+      toMarkdown(
+        {
+          type: 'table',
+          align: [null, 'left', 'center', 'right'],
+          children: [
+            {
+              type: 'tableRow',
+              children: [
+                {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
+                {type: 'tableCell', children: [{type: 'text', value: 'b'}]},
+                {type: 'tableCell', children: [{type: 'text', value: 'c'}]},
+                {type: 'tableCell', children: [{type: 'text', value: 'd'}]}
+              ]
+            },
+            {
+              type: 'tableRow',
+              children: [
+                {type: 'tableCell', children: [{type: 'text', value: 'aaa'}]},
+                {type: 'tableCell', children: [{type: 'text', value: 'bbb'}]},
+                {type: 'tableCell', children: [{type: 'text', value: 'ccc'}]},
+                {type: 'tableCell', children: [{type: 'text', value: 'ddd'}]}
+              ]
+            }
+          ]
+        },
+        {extensions: [gfmTableToMarkdown()]}
+      ),
+      '| a   | b   |  c  |   d |\n| --- | :-- | :-: | --: |\n| aaa | bbb | ccc | ddd |\n'
+    )
+  })
+
+  await t.test('should support `tableCellPadding: false`', async function () {
+    assert.deepEqual(
+      toMarkdown(minitable, {
+        extensions: [gfmTableToMarkdown({tableCellPadding: false})]
+      }),
+      '|a|b | c |\n|-|:-|:-:|\n'
+    )
+  })
+
+  await t.test(
+    'should support `tableCellPadding: true` (default)',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(minitable, {
+          extensions: [gfmTableToMarkdown({tableCellPadding: true})]
+        }),
+        minitableDefault
+      )
+    }
+  )
+
+  await t.test('should support `tablePipeAlign: false`', async function () {
+    assert.deepEqual(
+      toMarkdown(minitable, {
+        extensions: [gfmTableToMarkdown({tablePipeAlign: false})]
+      }),
+      '| a | b | c |\n| - | :- | :-: |\n'
+    )
+  })
+
+  await t.test(
+    'should support `tablePipeAlign: true` (default)',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(minitable, {
+          extensions: [gfmTableToMarkdown({tablePipeAlign: true})]
+        }),
+        minitableDefault
+      )
+    }
+  )
+
+  await t.test('should support `stringLength`', async function () {
+    assert.deepEqual(
+      toMarkdown(
+        {
+          type: 'table',
+          align: [],
+          children: [
+            {
+              type: 'tableRow',
+              children: [
+                {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
+                {type: 'tableCell', children: [{type: 'text', value: '古'}]},
+                {type: 'tableCell', children: [{type: 'text', value: '🤔'}]}
+              ]
+            }
+          ]
+        },
+        {extensions: [gfmTableToMarkdown({stringLength: stringWidth})]}
+      ),
+      '| a | 古 | 🤔 |\n| - | -- | -- |\n'
+    )
+  })
+
+  await t.test(
+    'should escape the leading pipe in what would start or continue a table',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {
+            type: 'paragraph',
+            children: [{type: 'text', value: '| a |\n| - |'}]
+          },
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '\\| a |\n\\| - |\n'
+      )
+    }
+  )
+
+  await t.test(
+    'should escape the leading dash in what could start a delimiter row (done by list dash)',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {type: 'paragraph', children: [{type: 'text', value: 'a|\n-|'}]},
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        'a|\n\\-|\n'
+      )
+    }
+  )
+
+  await t.test(
+    'should escape the leading colon in what could start a delimiter row',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {type: 'paragraph', children: [{type: 'text', value: 'a\n:-'}]},
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        'a\n\\:-\n'
+      )
+    }
+  )
+
+  await t.test(
+    'should not escape a backslash in code in a table cell',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {type: 'tableCell', children: [{type: 'inlineCode', value: 'a\\b'}]},
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '`a\\b`\n'
+      )
+    }
+  )
+
+  await t.test(
+    'should not escape an “escaped” backslash in code in a table cell',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {
+            type: 'tableCell',
+            children: [{type: 'inlineCode', value: 'a\\\\b'}]
+          },
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '`a\\\\b`\n'
+      )
+    }
+  )
+
+  await t.test(
+    'should not escape an “escaped” other punctuation character in code in a table cell',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {type: 'tableCell', children: [{type: 'inlineCode', value: 'a\\+b'}]},
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '`a\\+b`\n'
+      )
+    }
+  )
+
+  await t.test(
+    'should not escape a pipe character in code *not* in a table cell',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {type: 'inlineCode', value: 'a|b'},
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '`a|b`\n'
+      )
+    }
+  )
+
+  await t.test(
+    'should escape a pipe character in code in a table cell',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {type: 'tableCell', children: [{type: 'inlineCode', value: 'a|b'}]},
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '`a\\|b`\n'
+      )
+    }
+  )
+
+  await t.test('should escape eols in a table cell', async function () {
+    assert.deepEqual(
+      toMarkdown(
+        {type: 'tableCell', children: [{type: 'text', value: 'a\nb'}]},
+        {extensions: [gfmTableToMarkdown()]}
+      ),
+      'a&#xA;b\n'
+    )
+  })
+
+  await t.test(
+    'should escape phrasing characters in table cells',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {
+            type: 'tableRow',
+            children: [
+              {type: 'tableCell', children: [{type: 'text', value: '<a>'}]},
+              {type: 'tableCell', children: [{type: 'text', value: '*a'}]},
+              {type: 'tableCell', children: [{type: 'text', value: '![]()'}]}
+            ]
+          },
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '| \\<a> | \\*a | !\\[]\\() |\n'
+      )
+    }
+  )
+
+  await t.test('should escape pipes in a table cell', async function () {
+    assert.deepEqual(
+      toMarkdown(
+        {type: 'tableCell', children: [{type: 'text', value: 'a|b'}]},
+        {extensions: [gfmTableToMarkdown()]}
+      ),
+      'a\\|b\n'
+    )
+  })
+
+  await t.test(
+    'should escape multiple pipes in inline code in a table cell',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {type: 'tableCell', children: [{type: 'inlineCode', value: 'a|b|c'}]},
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '`a\\|b\\|c`\n'
+      )
+    }
+  )
+
+  await t.test(
+    'should escape multiple pipes in a table cell',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {type: 'tableCell', children: [{type: 'text', value: 'a|b|c'}]},
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        'a\\|b\\|c\n'
+      )
+    }
+  )
+
+  await t.test(
+    'should escape adjacent pipes in a table cell',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {type: 'tableCell', children: [{type: 'inlineCode', value: 'a||b'}]},
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '`a\\|\\|b`\n'
+      )
+      assert.deepEqual(
+        toMarkdown(
+          {type: 'tableCell', children: [{type: 'text', value: 'a||b'}]},
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        'a\\|\\|b\n'
+      )
+    }
+  )
+
+  await t.test('should serialize rowspans as markers', async function () {
+    const tree = fromMarkdown(
+      '|1|2|3|\n| -: | - | :- |\n|^|b|\n|^|c|\n|^^|d|',
+      {
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown()]
+      }
+    )
+
+    assert.deepEqual(
+      toMarkdown(tree, {extensions: [gfmTableToMarkdown()]}),
+      '|  1 | 2 | 3  |\n| -: | - | :- |\n| \\^ | b |    |\n|  ^ | c |    |\n|  ^ | d |    |\n'
+    )
+  })
+
+  await t.test('should serialize colspans as markers', async function () {
+    const tree = fromMarkdown('|1||\n| -: | - |\n|> |b|\n|a||\n||>|', {
+      extensions: [gfmTable()],
+      mdastExtensions: [gfmTableFromMarkdown()]
+    })
+
+    assert.deepEqual(
+      toMarkdown(tree, {extensions: [gfmTableToMarkdown()]}),
+      '|  1 | <  |\n| -: | -- |\n|  b | <  |\n|  a | <  |\n|    | \\> |\n'
+    )
+  })
+
+  await t.test("should support `tableColspanMarker: '>'`", async function () {
+    const tree = fromMarkdown('|1||\n| -: | - |\n|> |b|\n|a||\n||>|', {
+      extensions: [gfmTable()],
+      mdastExtensions: [gfmTableFromMarkdown()]
+    })
+
+    assert.deepEqual(
+      toMarkdown(tree, {
+        extensions: [gfmTableToMarkdown({tableColspanMarker: '>'})]
+      }),
+      '|  > | 1  |\n| -: | -- |\n|  > | b  |\n|  > | a  |\n|    | \\> |\n'
+    )
+  })
+
+  await t.test(
+    'should serialize cells spanning rows and columns',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {
+            type: 'table',
+            align: [],
+            children: [
+              {
+                type: 'tableHead',
+                children: [
+                  {
+                    type: 'tableRow',
+                    children: [
+                      {
+                        type: 'tableCell',
+                        children: [{type: 'text', value: 'a'}],
+                        colspan: 2
+                      },
+                      {
+                        type: 'tableCell',
+                        children: [{type: 'text', value: 'b'}]
+                      }
+                    ]
+                  }
+                ]
+              },
+              {
+                type: 'tableBody',
+                children: [
+                  {
+                    type: 'tableRow',
+                    children: [
+                      {
+                        type: 'tableCell',
+                        children: [{type: 'text', value: 'c'}],
+                        data: {hProperties: {colspan: 2, rowspan: 2}}
+                      },
+                      {
+                        type: 'tableCell',
+                        children: [{type: 'text', value: 'd'}]
+                      }
+                    ]
+                  },
+                  {
+                    type: 'tableRow',
+                    children: [
+                      {
+                        type: 'tableCell',
+                        children: [{type: 'text', value: 'e'}]
+                      }
+                    ]
+                  }
+                ]
+              }
+            ]
+          },
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '| a | < | b |\n| - | - | - |\n| c | < | d |\n| ^ | ^ | e |\n'
+      )
+    }
+  )
+
+  await t.test(
+    'should escape cells that look like span markers',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {
+            type: 'table',
+            children: [
+              {
+                type: 'tableRow',
+                children: [
+                  {type: 'tableCell', children: [{type: 'text', value: '>'}]},
+                  {type: 'tableCell', children: [{type: 'text', value: '<'}]},
+                  {type: 'tableCell', children: [{type: 'text', value: '^^'}]}
+                ]
+              }
+            ]
+          },
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '| \\> | \\< | \\^^ |\n| -- | -- | --- |\n'
+      )
+    }
+  )
+  await t.test(
+    'should write the delimiter row after the last head row',
+    async function () {
+      const tree = fromMarkdown(
+        '| > | Group | Other |\n| a | b | ^ |\n| - | - | - |\n| 1 | 2 | 3 |',
+        {
+          extensions: [gfmTable()],
+          mdastExtensions: [gfmTableFromMarkdown()]
+        }
+      )
+
+      assert.deepEqual(
+        toMarkdown(tree, {extensions: [gfmTableToMarkdown()]}),
+        '| Group | < | Other |\n| a     | b | ^     |\n| ----- | - | ----- |\n| 1     | 2 | 3     |\n'
+      )
+    }
+  )
+  await t.test('should serialize a foot', async function () {
+    const tree = fromMarkdown(
+      '| Item | Cost |\n| - | -: |\n| a | 1 |\n| --- | --: |\n| Total | 3 |',
+      {
+        extensions: [gfmTable()],
+        mdastExtensions: [gfmTableFromMarkdown({tableFoot: true})]
+      }
+    )
+
+    assert.deepEqual(
+      toMarkdown(tree, {extensions: [gfmTableToMarkdown()]}),
+      '| Item  | Cost |\n| ----- | ---: |\n| a     |    1 |\n| ----- | ---: |\n| Total |    3 |\n'
+    )
+  })
+
+  await t.test(
+    'should escape rows that look like a delimiter row',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {
+            type: 'table',
+            children: [
+              {
+                type: 'tableRow',
+                children: [
+                  {type: 'tableCell', children: [{type: 'text', value: 'a'}]}
+                ]
+              },
+              {
+                type: 'tableRow',
+                children: [
+                  {type: 'tableCell', children: [{type: 'text', value: '---'}]}
+                ]
+              }
+            ]
+          },
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        '| a    |\n| ---- |\n| \\--- |\n'
+      )
+    }
+  )
+
+  await t.test('should serialize a caption', async function () {
+    assert.deepEqual(
+      toMarkdown(
+        {
+          type: 'table',
+          children: [
+            {
+              type: 'tableCaption',
+              children: [
+                {type: 'text', value: 'Costs of '},
+                {type: 'emphasis', children: [{type: 'text', value: 'a'}]}
+              ]
+            },
+            {
+              type: 'tableRow',
+              children: [
+                {type: 'tableCell', children: [{type: 'text', value: 'a'}]}
+              ]
+            }
+          ]
+        },
+        {extensions: [gfmTableToMarkdown()]}
+      ),
+      'Table: Costs of *a*\n\n| a |\n| - |\n'
+    )
+  })
+
+  await t.test("should support `tableColspanMarker: '||'`", async function () {
+    const tree = fromMarkdown('|1||\n| -: | - |\n|> |b|\n|a||\n||>|', {
+      extensions: [gfmTable()],
+      mdastExtensions: [gfmTableFromMarkdown()]
+    })
+
+    assert.deepEqual(
+      toMarkdown(tree, {
+        extensions: [gfmTableToMarkdown({tableColspanMarker: '||'})]
+      }),
+      '|      1 ||\n| -: | -- |\n|      b ||\n|      a ||\n|    | \\> |\n'
+    )
+  })
+
+  await t.test('should support `tableSpans: false`', async function () {
+    assert.deepEqual(
+      toMarkdown(spannedTable(), {
+        extensions: [gfmTableToMarkdown({tableSpans: false})]
+      }),
+      '| A |   | B |\n| - | - | - |\n| a | 1 | 2 |\n|   | 3 | 4 |\n'
+    )
+  })
+
+  await t.test(
+    "should write spans with `tableColspanMarker: '||'`",
+    async function () {
+      assert.deepEqual(
+        toMarkdown(spannedTable(), {
+          extensions: [gfmTableToMarkdown({tableColspanMarker: '||'})]
+        }),
+        '| A    || B |\n| - | - | - |\n| a | 1 | 2 |\n| ^ | 3 | 4 |\n'
+      )
+    }
+  )
+  await t.test(
+    'should write spans with `tableDialect: multimarkdown`',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(spannedTable(), {
+          extensions: [gfmTableToMarkdown({tableDialect: 'multimarkdown'})]
+        }),
+        '| A    || B |\n| - | - | - |\n| a | 1 | 2 |\n|   | 3 | 4 |\n'
+      )
+    }
+  )
+
+  await t.test(
+    'should write captions with `tableDialect: multimarkdown`',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {
+            type: 'table',
+            children: [
+              {
+                type: 'tableCaption',
+                children: [{type: 'text', value: 'Costs'}]
+              },
+              {
+                type: 'tableRow',
+                children: [
+                  {type: 'tableCell', children: [{type: 'text', value: 'a'}]}
+                ]
+              }
+            ]
+          },
+          {extensions: [gfmTableToMarkdown({tableDialect: 'multimarkdown'})]}
+        ),
+        '[Costs]\n\n| a |\n| - |\n'
+      )
+    }
+  )
+  await t.test("should support `tableFormat: 'grid'`", async function () {
+    assert.deepEqual(
+      toMarkdown(spannedTable(), {
+        extensions: [gfmTableToMarkdown({tableFormat: 'grid'})]
+      }),
+      [
+        '+-------+---+',
+        '| A     | B |',
+        '+===+===+===+',
+        '| a | 1 | 2 |',
+        '|   +---+---+',
+        '|   | 3 | 4 |',
+        '+---+---+---+',
+        ''
+      ].join('\n')
+    )
+  })
+
+  await t.test(
+    'should write tables with flow content as grid tables',
+    async function () {
+      assert.deepEqual(
+        toMarkdown(
+          {
+            type: 'table',
+            children: [
+              {
+                type: 'tableRow',
+                children: [
+                  {type: 'tableCell', children: [{type: 'text', value: 'a'}]}
+                ]
+              },
+              {
+                type: 'tableRow',
+                children: [
+                  {
+                    type: 'tableCell',
+                    children: [{type: 'code', value: 'b()'}]
+                  }
+                ]
+              }
+            ]
+          },
+          {extensions: [gfmTableToMarkdown()]}
+        ),
+        [
+          '+-----+',
+          '| a   |',
+          '+-----+',
+          '| ``` |',
+          '| b() |',
+          '| ``` |',
+          '+-----+',
+          ''
+        ].join('\n')
+      )
+    }
+  )
+  await t.test('should support `tableMultiline`', async function () {
+    assert.deepEqual(
+      toMarkdown(
+        {
+          type: 'table',
+          children: [
+            {
+              type: 'tableRow',
+              children: [
+                {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
+                {type: 'tableCell', children: [{type: 'text', value: 'b'}]}
+              ]
+            },
+            {
+              type: 'tableRow',
+              children: [
+                {type: 'tableCell', children: [{type: 'text', value: 'c'}]},
+                {
+                  type: 'tableCell',
+                  children: [
+                    {
+                      type: 'paragraph',
+                      children: [{type: 'text', value: 'd'}]
+                    },
+                    {
+                      type: 'paragraph',
+                      children: [{type: 'text', value: 'e'}]
+                    }
+                  ]
+                }
+              ]
+            }
+          ]
+        },
+        {extensions: [gfmTableToMarkdown({tableMultiline: true})]}
+      ),
+      '| a | b |\n| - | - |\n| c | d | \\\n|   |   | \\\n|   | e |\n'
+    )
+  })
+  await t.test('should write widths (`tableWidths`)', async function () {
+    assert.deepEqual(
+      toMarkdown(
+        {
+          type: 'table',
+          align: ['left', null],
+          children: [
+            {
+              type: 'tableRow',
+              children: [
+                {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
+                {type: 'tableCell', children: [{type: 'text', value: 'b'}]}
+              ]
+            }
+          ],
+          data: {tableWidths: [0.25, 0.75]}
+        },
+        {extensions: [gfmTableToMarkdown({tablePipeAlign: false})]}
+      ),
+      '| a | b |\n| :--- | --------- |\n'
+    )
+  })
+  await t.test(
+    'should write attribute blocks (`tableAttributes`)',
+    async function () {
+      /** @type {Table} */
+      const table = {
+        type: 'table',
+        children: [
+          {
+            type: 'tableRow',
+            children: [
+              {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
+              {
+                type: 'tableCell',
+                children: [{type: 'text', value: 'b'}],
+                data: {hProperties: {id: 'y', className: ['x'], align: 'left'}}
+              }
+            ]
+          },
+          {
+            type: 'tableRow',
+            children: [
+              {
+                type: 'tableCell',
+                children: [],
+                data: {hProperties: {title: 'a "b"'}}
+              },
+              {type: 'tableCell', children: [{type: 'text', value: 'd'}]}
+            ],
+            data: {hProperties: {className: ['total']}}
+          }
+        ]
+      }
+
+      assert.deepEqual(
+        toMarkdown(table, {
+          extensions: [gfmTableToMarkdown({tableAttributes: true})]
+        }),
+        '| a                 | b {#y .x align=left} |\n| ----------------- | -------------------- |\n| {title="a \\"b\\""} | d                    | {.total}\n'
+      )
+      assert.deepEqual(
+        toMarkdown(table, {extensions: [gfmTableToMarkdown()]}),
+        '| a | b |\n| - | - |\n|   | d |\n'
+      )
+    }
+  )
+  await t.test('should write attribute lines after tables', async function () {
+    assert.deepEqual(
+      toMarkdown(
+        {
+          type: 'table',
+          children: [
+            {
+              type: 'tableRow',
+              children: [
+                {type: 'tableCell', children: [{type: 'text', value: 'a'}]}
+              ]
+            }
+          ],
+          data: {hProperties: {id: 'pricing', className: ['compact']}}
+        },
+        {extensions: [gfmTableToMarkdown({tableAttributes: true})]}
+      ),
+      '| a |\n| - |\n{#pricing .compact}\n'
+    )
+  })
+
+  await t.test('should write formulas or their values', async function () {
+    const table = tableFromCsv('Item,Cost\na,2\nb,3\nTotal,5')
+    const body = table.children[1]
+    assert(body.type === 'tableBody')
+    const cell = body.children[2].children[1]
+    cell.data = {...cell.data, tableFormula: '=SUM(above)'}
+
+    assert.deepEqual(
+      serialize(table),
+      '| Item  |        Cost |\n| ----- | ----------: |\n| a     |           2 |\n| b     |           3 |\n| Total | =SUM(above) |\n'
+    )
+    assert.deepEqual(
+      toMarkdown(table, {
+        extensions: [gfmTableToMarkdown({tableFormulas: 'value'})]
+      }),
+      '| Item  | Cost |\n| ----- | ---: |\n| a     |    2 |\n| b     |    3 |\n| Total |    5 |\n'
+    )
+  })
+})
+
+test('markdownTable', async function (t) {
+  await t.test('should create a table', async function () {
+    assert.equal(
+      markdownTable([
+        ['Branch', 'Commit'],
+        ['main', '0123456789abcdef'],
+        ['staging', 'fedcba9876543210']
+      ]),
+      [
+        '| Branch  | Commit           |',
+        '| ------- | ---------------- |',
+        '| main    | 0123456789abcdef |',
+        '| staging | fedcba9876543210 |'
+      ].join('\n')
+    )
+  })
+
+  await t.test('should serialize values', async function () {
+    assert.equal(
+      markdownTable([
+        ['Type', 'Value'],
+        ['string', 'alpha'],
+        // @ts-expect-error: check handling of primitives.
+        ['number', 1],
+        // @ts-expect-error: check handling of primitives.
+        ['boolean', true],
+        ['undefined', undefined],
+        ['null', null],
+        // @ts-expect-error: check handling of other values.
+        ['Array', [1, 2, 3]]
+      ]),
+      [
+        '| Type      | Value |',
+        '| --------- | ----- |',
+        '| string    | alpha |',
+        '| number    | 1     |',
+        '| boolean   | true  |',
+        '| undefined |       |',
+        '| null      |       |',
+        '| Array     | 1,2,3 |'
+      ].join('\n')
+    )
+  })
+
+  await t.test(
+    'should work correctly when cells are missing',
+    async function () {
+      assert.equal(
+        markdownTable(
+          [
+            ['A', 'B', 'C'],
+            ['a', 'b', 'c'],
+            ['a', 'b'],
+            ['a'],
+            [],
+            ['a', 'b', ''],
+            ['', 'b', 'c'],
+            ['a', '', ''],
+            ['', '', 'c'],
+            ['', '', '']
+          ],
+          {align: 'c'}
+        ),
+        [
+          '|  A  |  B  |  C  |',
+          '| :-: | :-: | :-: |',
+          '|  a  |  b  |  c  |',
+          '|  a  |  b  |     |',
+          '|  a  |     |     |',
+          '|     |     |     |',
+          '|  a  |  b  |     |',
+          '|     |  b  |  c  |',
+          '|  a  |     |     |',
+          '|     |     |  c  |',
+          '|     |     |     |'
+        ].join('\n')
+      )
+    }
+  )
+
+  await t.test('should align left and right', async function () {
+    assert.equal(
+      markdownTable(
+        [
+          ['Beep', 'No.'],
+          ['boop', '33450'],
+          ['foo', '1006'],
+          ['bar', '45']
+        ],
+        {align: ['l', 'r']}
+      ),
+      [
+        '| Beep |   No. |',
+        '| :--- | ----: |',
+        '| boop | 33450 |',
+        '| foo  |  1006 |',
+        '| bar  |    45 |'
+      ].join('\n')
+    )
+  })
+
+  await t.test('should align center', async function () {
+    assert.equal(
+      markdownTable(
+        [
+          ['Beep', 'No.', 'Boop'],
+          ['beep', '1024', 'xyz'],
+          ['boop', '3388450', 'tuv'],
+          ['foo', '10106', 'qrstuv'],
+          ['bar', '45', 'lmno']
+        ],
+        {align: ['l', 'c', 'l']}
+      ),
+      [
+        '| Beep |   No.   | Boop   |',
+        '| :--- | :-----: | :----- |',
+        '| beep |   1024  | xyz    |',
+        '| boop | 3388450 | tuv    |',
+        '| foo  |  10106  | qrstuv |',
+        '| bar  |    45   | lmno   |'
+      ].join('\n')
+    )
+  })
+
+  await t.test('should accept a single value', async function () {
+    assert.equal(
+      markdownTable(
+        [
+          ['Very long', 'Even longer'],
+          ['boop', '33450'],
+          ['foo', '1006'],
+          ['bar', '45']
+        ],
+        {align: 'c'}
+      ),
+      [
+        '| Very long | Even longer |',
+        '| :-------: | :---------: |',
+        '|    boop   |    33450    |',
+        '|    foo    |     1006    |',
+        '|    bar    |      45     |'
+      ].join('\n')
+    )
+  })
+
+  await t.test('should accept multi-character values', async function () {
+    assert.equal(
+      markdownTable(
+        [
+          ['Beep', 'No.', 'Boop'],
+          ['beep', '1024', 'xyz'],
+          ['boop', '3388450', 'tuv'],
+          ['foo', '10106', 'qrstuv'],
+          ['bar', '45', 'lmno']
+        ],
+        {align: ['left', 'center', 'right']}
+      ),
+      [
+        '| Beep |   No.   |   Boop |',
+        '| :--- | :-----: | -----: |',
+        '| beep |   1024  |    xyz |',
+        '| boop | 3388450 |    tuv |',
+        '| foo  |  10106  | qrstuv |',
+        '| bar  |    45   |   lmno |'
+      ].join('\n')
+    )
+  })
+
+  await t.test('should create a table without padding', async function () {
+    assert.equal(
+      markdownTable(
+        [
+          ['Branch', 'Commit'],
+          ['main', '0123456789abcdef'],
+          ['staging', 'fedcba9876543210']
+        ],
+        {padding: false}
+      ),
+      [
+        '|Branch |Commit          |',
+        '|-------|----------------|',
+        '|main   |0123456789abcdef|',
+        '|staging|fedcba9876543210|'
+      ].join('\n')
+    )
+  })
+
+  await t.test(
+    'should create a table without aligned delimiters',
+    async function () {
+      assert.equal(
         markdownTable(
           [
             ['Branch', 'Commit', 'Beep', 'No.', 'Boop'],
@@ -1598,116 +3430,1262 @@ test('markdownTable', async function (t) {
           {alignDelimiters: false, align: ['', 'l', 'c', 'r']}
         ),
         [
-          '| Branch | Commit | Beep | No. | Boop |',
-          '| - | :- | :-: | -: | - |',
-          '| main | 0123456789abcdef | beep | 1024 | xyz |',
-          '| staging | fedcba9876543210 | boop | 3388450 | tuv |'
-        ].join('\n')
+          '| Branch | Commit | Beep | No. | Boop |',
+          '| - | :- | :-: | -: | - |',
+          '| main | 0123456789abcdef | beep | 1024 | xyz |',
+          '| staging | fedcba9876543210 | boop | 3388450 | tuv |'
+        ].join('\n')
+      )
+    }
+  )
+
+  await t.test(
+    'should handle short rules and missing elements for tables w/o aligned delimiters',
+    async function () {
+      assert.equal(
+        markdownTable(
+          [
+            ['A'],
+            ['', '0123456789abcdef'],
+            ['staging', 'fedcba9876543210'],
+            ['develop']
+          ],
+          {alignDelimiters: false}
+        ),
+        [
+          '| A | |',
+          '| - | - |',
+          '| | 0123456789abcdef |',
+          '| staging | fedcba9876543210 |',
+          '| develop | |'
+        ].join('\n')
+      )
+    }
+  )
+
+  await t.test(
+    'should create rows without starting delimiter',
+    async function () {
+      assert.equal(
+        markdownTable(
+          [
+            ['Branch', 'Commit'],
+            ['main', '0123456789abcdef'],
+            ['staging', 'fedcba9876543210'],
+            ['develop']
+          ],
+          {delimiterStart: false}
+        ),
+        [
+          'Branch  | Commit           |',
+          '------- | ---------------- |',
+          'main    | 0123456789abcdef |',
+          'staging | fedcba9876543210 |',
+          'develop |                  |'
+        ].join('\n')
+      )
+    }
+  )
+
+  await t.test(
+    'should create rows without ending delimiter',
+    async function () {
+      assert.equal(
+        markdownTable(
+          [
+            ['Branch', 'Commit'],
+            ['main', '0123456789abcdef'],
+            ['staging', 'fedcba9876543210'],
+            ['develop']
+          ],
+          {delimiterEnd: false}
+        ),
+        [
+          '| Branch  | Commit',
+          '| ------- | ----------------',
+          '| main    | 0123456789abcdef',
+          '| staging | fedcba9876543210',
+          '| develop |'
+        ].join('\n')
+      )
+    }
+  )
+
+  await t.test(
+    'should use `stringLength` to detect cell lengths',
+    async function () {
+      assert.equal(
+        strip(
+          markdownTable(
+            [
+              ['A', 'B', 'C'],
+              [chalk.red('Red'), chalk.green('Green'), chalk.blue('Blue')],
+              [chalk.bold('Bold'), chalk.underline(''), chalk.italic('Italic')],
+              [
+                chalk.inverse('Inverse'),
+                chalk.strikethrough('Strike'),
+                chalk.hidden('Hidden')
+              ],
+              ['bar', '45', 'lmno']
+            ],
+            {align: ['', 'c', 'r'], stringLength}
+          )
+        ),
+        [
+          '| A       |    B   |      C |',
+          '| ------- | :----: | -----: |',
+          '| Red     |  Green |   Blue |',
+          '| Bold    |        | Italic |',
+          '| Inverse | Strike | Hidden |',
+          '| bar     |   45   |   lmno |'
+        ].join('\n')
+      )
+    }
+  )
+
+  await t.test('should spread cells spanning columns', async function () {
+    assert.equal(
+      markdownTable(
+        [
+          ['Alpha and bravo', ''],
+          ['A', 'B']
+        ],
+        {colspan: [[2]]}
+      ),
+      [
+        '| Alpha and bravo ||',
+        '| ------- | ------ |',
+        '| A       | B      |'
+      ].join('\n')
+    )
+  })
+
+  await t.test(
+    'should align cells spanning columns to the first column',
+    async function () {
+      assert.equal(
+        markdownTable(
+          [
+            ['a', 'Wide cell over two', 'x', 'd'],
+            ['A', 'B', 'C', 'D'],
+            ['x', 'y', 'z', 'w']
+          ],
+          {colspan: [[1, 2]], align: ['l', 'c', 'r']}
+        ),
+        [
+          '| a  | Wide cell over two || d |',
+          '| :- | :------: | -------: | - |',
+          '| A  |     B    |        C | D |',
+          '| x  |     y    |        z | w |'
+        ].join('\n')
+      )
+    }
+  )
+
+  await t.test('should pad cells spanning columns that fit', async function () {
+    assert.equal(
+      markdownTable(
+        [
+          ['a', 'b'],
+          ['A', 'B']
+        ],
+        {colspan: [[2]]}
+      ),
+      ['| a    ||', '| - | - |', '| A | B |'].join('\n')
+    )
+  })
+
+  await t.test(
+    'should not spread cells past the end of the row',
+    async function () {
+      assert.equal(
+        markdownTable(
+          [
+            ['a', 'b'],
+            ['A', 'B']
+          ],
+          {colspan: [[5]]}
+        ),
+        ['| a    ||', '| - | - |', '| A | B |'].join('\n')
+      )
+    }
+  )
+
+  await t.test(
+    'should support cells spanning columns without padding',
+    async function () {
+      assert.equal(
+        markdownTable([['Alpha and bravo'], ['A', 'B']], {
+          colspan: [[2]],
+          padding: false
+        }),
+        ['|Alpha and bravo||', '|--------|-------|', '|A       |B      |'].join(
+          '\n'
+        )
+      )
+    }
+  )
+
+  await t.test(
+    'should support cells spanning columns without aligning delimiters',
+    async function () {
+      assert.equal(
+        markdownTable([['Alpha and bravo'], ['A', 'B']], {
+          colspan: [[2]],
+          alignDelimiters: false
+        }),
+        ['| Alpha and bravo ||', '| - | - |', '| A | B |'].join('\n')
+      )
+    }
+  )
+  await t.test('should support several head rows', async function () {
+    assert.equal(
+      markdownTable(
+        [
+          ['Group', 'x'],
+          ['a', 'bbbbbb'],
+          ['cc', 'd']
+        ],
+        {headIndex: 2}
+      ),
+      [
+        '| Group | x      |',
+        '| a     | bbbbbb |',
+        '| ----- | ------ |',
+        '| cc    | d      |'
+      ].join('\n')
+    )
+  })
+
+  await t.test('should support a table without head', async function () {
+    assert.equal(
+      markdownTable(
+        [
+          ['Group', 'x'],
+          ['a', 'bbbbbb']
+        ],
+        {headIndex: 0}
+      ),
+      ['| ----- | ------ |', '| Group | x      |', '| a     | bbbbbb |'].join(
+        '\n'
+      )
+    )
+  })
+  await t.test('should support a foot', async function () {
+    assert.equal(
+      markdownTable(
+        [
+          ['a', 'b'],
+          ['c', 'd'],
+          ['e', 'f']
+        ],
+        {footIndex: 2}
+      ),
+      ['| a | b |', '| - | - |', '| c | d |', '| - | - |', '| e | f |'].join(
+        '\n'
+      )
+    )
+  })
+  await t.test('should support `widths`', async function () {
+    assert.equal(
+      markdownTable(
+        [
+          ['Alpha', 'Bravo', 'Charlie'],
+          ['C', 'Delta']
+        ],
+        {alignDelimiters: false, align: ['c'], widths: [0.2, 0.6]}
+      ),
+      '| Alpha | Bravo | Charlie |\n| :---: | --------- | - |\n| C | Delta | |'
+    )
+  })
+
+  await t.test('should ignore `widths` when aligning', async function () {
+    assert.equal(
+      markdownTable([['a', 'b']], {widths: [0.2, 0.6]}),
+      '| a | b |\n| - | - |'
+    )
+  })
+})
+
+test('gridTable', async function (t) {
+  await t.test('should create a grid table', async function () {
+    assert.equal(
+      gridTable([
+        ['Branch', 'Commit'],
+        ['main', '0123456789abcdef'],
+        ['staging', 'fedcba\n9876543210']
+      ]),
+      [
+        '+---------+------------------+',
+        '| Branch  | Commit           |',
+        '+=========+==================+',
+        '| main    | 0123456789abcdef |',
+        '+---------+------------------+',
+        '| staging | fedcba           |',
+        '|         | 9876543210       |',
+        '+---------+------------------+'
+      ].join('\n')
+    )
+  })
+
+  await t.test('should align columns', async function () {
+    assert.equal(
+      gridTable(
+        [
+          ['a', 'b', 'c'],
+          ['1', '22', '333']
+        ],
+        {align: ['l', 'c', 'r']}
+      ),
+      [
+        '+---+----+-----+',
+        '| a | b  |   c |',
+        '+:==+:==:+====:+',
+        '| 1 | 22 | 333 |',
+        '+---+----+-----+'
+      ].join('\n')
+    )
+  })
+
+  await t.test('should support spans', async function () {
+    assert.equal(
+      gridTable(
+        [
+          ['Alpha and bravo', ''],
+          ['a', 'b'],
+          ['', 'c']
+        ],
+        {
+          colspan: [[2]],
+          rowspan: [[], [2]]
+        }
+      ),
+      [
+        '+-----------------+',
+        '| Alpha and bravo |',
+        '+===+=============+',
+        '| a | b           |',
+        '|   +-------------+',
+        '|   | c           |',
+        '+---+-------------+'
+      ].join('\n')
+    )
+  })
+
+  await t.test('should support `headIndex` and `footIndex`', async function () {
+    assert.equal(
+      gridTable([['a'], ['b'], ['c']], {headIndex: 0, footIndex: 2}),
+      ['+---+', '| a |', '+---+', '| b |', '+===+', '| c |', '+===+'].join('\n')
+    )
+  })
+
+  await t.test('should support `stringLength`', async function () {
+    assert.equal(
+      gridTable([['中文'], ['a']], {stringLength: stringWidth}),
+      ['+------+', '| 中文 |', '+======+', '| a    |', '+------+'].join('\n')
+    )
+  })
+})
+
+test('tableToGrid', async function (t) {
+  await t.test('should place cells in their slots', async function () {
+    const tree = fromMarkdown('| > | a |\n| - | - |\n| b | c |\n| ^ | d |', {
+      extensions: [gfmTable()],
+      mdastExtensions: [gfmTableFromMarkdown()]
+    })
+    const table = tree.children[0]
+    assert(table.type === 'table')
+
+    const grid = tableToGrid(table)
+
+    assert.deepEqual(
+      grid.rows.map(function (row) {
+        return row.cells.map(function (slot) {
+          assert(slot)
+          return [toString(slot.cell), slot.origin, slot.row, slot.column].join(
+            ':'
+          )
+        })
+      }),
+      [
+        ['a:true:0:0', 'a:false:0:1'],
+        ['b:true:0:0', 'c:true:0:0'],
+        ['b:false:1:0', 'd:true:0:0']
+      ]
+    )
+    assert.deepEqual(
+      grid.rows.map((row) => row.section && row.section.type),
+      ['tableHead', 'tableBody', 'tableBody']
+    )
+  })
+
+  await t.test('should fill short rows with `undefined`', async function () {
+    const grid = tableToGrid({
+      type: 'table',
+      align: [null, null],
+      children: [
+        {type: 'tableRow', children: [cell('a')]},
+        {type: 'tableRow', children: [cell('b'), cell('c')]}
+      ]
+    })
+
+    assert.deepEqual(
+      grid.rows.map((row) =>
+        row.cells.map((slot) => slot && toString(slot.cell))
+      ),
+      [
+        ['a', undefined],
+        ['b', 'c']
+      ]
+    )
+  })
+})
+
+test('gridToTable', async function (t) {
+  await t.test('should round trip a table', async function () {
+    const tree = fromMarkdown('| > | a |\n| - | - |\n| b | c |\n| ^ | d |', {
+      extensions: [gfmTable()],
+      mdastExtensions: [gfmTableFromMarkdown()]
+    })
+    const table = tree.children[0]
+    assert(table.type === 'table')
+    const expected = structuredClone(table)
+
+    assert.deepEqual(gridToTable(tableToGrid(table)), expected)
+  })
+
+  await t.test('should recompute spans', async function () {
+    const a = cell('a')
+    const b = cell('b')
+    const c = cell('c')
+
+    /** @type {import('@jhuix/mdast-util-gfm-table').GridRow} */
+    const first = {
+      section: undefined,
+      row: {type: 'tableRow', children: []},
+      cells: [slot(a), slot(a), slot(b)]
+    }
+    /** @type {import('@jhuix/mdast-util-gfm-table').GridRow} */
+    const second = {
+      section: undefined,
+      row: {type: 'tableRow', children: []},
+      cells: [slot(a), slot(a), slot(c)]
+    }
+
+    assert.deepEqual(
+      gridToTable({align: [null, null, null], rows: [first, second]}),
+      {
+        type: 'table',
+        align: [null, null, null],
+        children: [
+          {
+            type: 'tableRow',
+            children: [
+              {
+                type: 'tableCell',
+                children: [{type: 'text', value: 'a'}],
+                data: {hProperties: {colspan: 2, rowspan: 2}},
+                colspan: 2,
+                rowspan: 2
+              },
+              {type: 'tableCell', children: [{type: 'text', value: 'b'}]}
+            ]
+          },
+          {
+            type: 'tableRow',
+            children: [
+              {type: 'tableCell', children: [{type: 'text', value: 'c'}]}
+            ]
+          }
+        ],
+        data: {hName: 'table'}
+      }
+    )
+  })
+
+  await t.test(
+    'should turn stray slots and gaps into empty cells',
+    async function () {
+      const a = cell('a')
+      const b = cell('b')
+
+      assert.deepEqual(
+        gridToTable({
+          align: [null, null, null],
+          rows: [
+            {
+              section: undefined,
+              row: {type: 'tableRow', children: []},
+              cells: [slot(a), undefined, slot(a), slot(b)]
+            }
+          ]
+        }).children,
+        [
+          {
+            type: 'tableRow',
+            children: [
+              {type: 'tableCell', children: [{type: 'text', value: 'a'}]},
+              {type: 'tableCell', children: [], data: {hName: 'td'}},
+              {type: 'tableCell', children: [], data: {hName: 'td'}},
+              {type: 'tableCell', children: [{type: 'text', value: 'b'}]}
+            ]
+          }
+        ]
       )
     }
   )
+})
+
+test('insertColumn', async function (t) {
+  await t.test('should insert a column', async function () {
+    const table = insertColumn(spannedTable(), 3, 'center')
+
+    assert.deepEqual(
+      serialize(table),
+      '| A | < | B |     |\n| - | - | - | :-: |\n| a | 1 | 2 |     |\n| ^ | 3 | 4 |     |\n'
+    )
+    assert.deepEqual(table.align, [null, null, null, 'center'])
+    assert(table.children[0].type === 'tableHead')
+    assert.deepEqual(table.children[0].cols, 4)
+  })
+
+  await t.test('should widen cells spanning the column', async function () {
+    assert.deepEqual(
+      serialize(insertColumn(spannedTable(), 1)),
+      '| A | < | < | B |\n| - | - | - | - |\n| a |   | 1 | 2 |\n| ^ |   | 3 | 4 |\n'
+    )
+  })
+
+  await t.test('should give the column the average width', async function () {
+    const table = tableFromCsv('a,b,c\n1,2,3')
+    table.data = {...table.data, tableWidths: [0.25, 0.25, 0.5]}
+
+    assert.deepEqual(
+      insertColumn(table, 3).data?.tableWidths,
+      [0.1875, 0.1875, 0.375, 0.25]
+    )
+  })
+})
+
+test('removeColumn', async function (t) {
+  await t.test('should drop the width of the column', async function () {
+    const table = tableFromCsv('a,b,c\n1,2,3')
+    table.data = {...table.data, tableWidths: [0.25, 0.25, 0.5]}
+    removeColumn(table, 1)
+
+    assert.deepEqual(table.data.tableWidths, [1 / 3, 2 / 3])
+    assert.deepEqual(
+      toHtml(toHast(table, {handlers: gfmTableHastHandlers()})),
+      '<table>\n<colgroup>\n<col style="width:33.33%">\n<col style="width:66.67%">\n</colgroup>\n<thead>\n<tr>\n<th align="right">a</th>\n<th align="right">c</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td align="right">1</td>\n<td align="right">3</td>\n</tr>\n</tbody>\n</table>'
+    )
+  })
+
+  await t.test('should narrow cells spanning the column', async function () {
+    assert.deepEqual(
+      serialize(removeColumn(spannedTable(), 1)),
+      '| A | B |\n| - | - |\n| a | 2 |\n| ^ | 4 |\n'
+    )
+  })
 
   await t.test(
-    'should handle short rules and missing elements for tables w/o aligned delimiters',
+    'should align cells by the column they now start in',
     async function () {
-      assert.equal(
-        markdownTable(
-          [
-            ['A'],
-            ['', '0123456789abcdef'],
-            ['staging', 'fedcba9876543210'],
-            ['develop']
-          ],
-          {alignDelimiters: false}
-        ),
-        [
-          '| A | |',
-          '| - | - |',
-          '| | 0123456789abcdef |',
-          '| staging | fedcba9876543210 |',
-          '| develop | |'
-        ].join('\n')
-      )
+      const table = spannedTable()
+      table.align = ['left', 'right', null]
+      const head = table.children[0]
+      assert(head.type === 'tableHead')
+      const cell = head.children[0].children[0]
+      cell.data = {hProperties: {colspan: 2, align: 'left'}}
+      removeColumn(table, 0)
+
+      assert.deepEqual(cell.data.hProperties, {align: 'right'})
     }
   )
 
+  await t.test('should ignore columns that do not exist', async function () {
+    assert.deepEqual(
+      serialize(removeColumn(spannedTable(), 3)),
+      serialize(spannedTable())
+    )
+  })
+})
+
+test('moveColumn', async function (t) {
+  await t.test('should move the width of the column', async function () {
+    const table = tableFromCsv('a,b,c\n1,2,3')
+    table.data = {...table.data, tableWidths: [0.2, 0.3, 0.5]}
+
+    assert.deepEqual(moveColumn(table, 2, 0).data?.tableWidths, [0.5, 0.2, 0.3])
+  })
+
+  await t.test('should move a column', async function () {
+    const table = spannedTable()
+    table.align = ['left', null, 'right']
+
+    assert.deepEqual(
+      serialize(moveColumn(table, 2, 0)),
+      '|  B | A  | < |\n| -: | :- | - |\n|  2 | a  | 1 |\n|  4 | ^  | 3 |\n'
+    )
+  })
+
   await t.test(
-    'should create rows without starting delimiter',
+    'should keep the content of cells spanning the column',
     async function () {
-      assert.equal(
-        markdownTable(
-          [
-            ['Branch', 'Commit'],
-            ['main', '0123456789abcdef'],
-            ['staging', 'fedcba9876543210'],
-            ['develop']
+      assert.deepEqual(
+        serialize(moveColumn(spannedTable(), 0, 2)),
+        '| A | B |   |\n| - | - | - |\n| 1 | 2 | a |\n| 3 | 4 | ^ |\n'
+      )
+    }
+  )
+})
+
+test('insertRow', async function (t) {
+  await t.test('should heighten cells spanning the row', async function () {
+    assert.deepEqual(
+      serialize(insertRow(spannedTable(), 2)),
+      '| A | < | B |\n| - | - | - |\n| a | 1 | 2 |\n| ^ |   |   |\n| ^ | 3 | 4 |\n'
+    )
+  })
+
+  await t.test('should append a row', async function () {
+    assert.deepEqual(
+      serialize(insertRow(spannedTable(), 3)),
+      '| A | < | B |\n| - | - | - |\n| a | 1 | 2 |\n| ^ | 3 | 4 |\n|   |   |   |\n'
+    )
+  })
+})
+
+test('removeRow', async function (t) {
+  await t.test('should shorten cells spanning the row', async function () {
+    assert.deepEqual(
+      serialize(removeRow(spannedTable(), 1)),
+      '| A | < | B |\n| - | - | - |\n| a | 3 | 4 |\n'
+    )
+  })
+
+  await t.test('should remove sections without rows', async function () {
+    const table = removeRow(removeRow(spannedTable(), 1), 1)
+
+    assert.deepEqual(
+      table.children.map((d) => d.type),
+      ['tableHead']
+    )
+  })
+
+  await t.test('should not remove the only head row', async function () {
+    assert.deepEqual(
+      serialize(removeRow(spannedTable(), 0)),
+      serialize(spannedTable())
+    )
+  })
+})
+
+/**
+ * Table with a cell spanning two columns in the head and a cell spanning two
+ * rows in the body.
+ *
+ * @returns {Table}
+ */
+function spannedTable() {
+  return {
+    type: 'table',
+    align: [null, null, null],
+    children: [
+      {
+        type: 'tableHead',
+        cols: 3,
+        children: [
+          {
+            type: 'tableRow',
+            children: [
+              {...cell('A'), colspan: 2, data: {hProperties: {colspan: 2}}},
+              cell('B')
+            ]
+          }
+        ]
+      },
+      {
+        type: 'tableBody',
+        cols: 3,
+        children: [
+          {
+            type: 'tableRow',
+            children: [
+              {...cell('a'), rowspan: 2, data: {hProperties: {rowspan: 2}}},
+              cell('1'),
+              cell('2')
+            ]
+          },
+          {type: 'tableRow', children: [cell('3'), cell('4')]}
+        ]
+      }
+    ]
+  }
+}
+
+/**
+ * @param {Table} table
+ * @returns {string}
+ */
+function serialize(table) {
+  return toMarkdown(table, {extensions: [gfmTableToMarkdown()]})
+}
+
+/**
+ * @param {string} value
+ * @returns {import('@jhuix/mdast-util-gfm-table').TableCell}
+ */
+function cell(value) {
+  return {type: 'tableCell', children: [{type: 'text', value}]}
+}
+
+/**
+ * @param {import('@jhuix/mdast-util-gfm-table').TableCell} cell
+ * @returns {import('@jhuix/mdast-util-gfm-table').GridSlot}
+ */
+function slot(cell) {
+  return {cell, origin: false, row: 0, column: 0}
+}
+
+/**
+ * @param {import('@jhuix/mdast-util-gfm-table').TableCell} cell
+ * @returns {string}
+ */
+function toString(cell) {
+  return cell.children
+    .map((child) => ('value' in child ? child.value : ''))
+    .join('')
+}
+
+test('tableFromCsv', async function (t) {
+  await t.test('should turn CSV into a table', async function () {
+    assert.deepEqual(tableFromCsv('Name,Cost\r\nApple,"1,200"\r\n'), {
+      type: 'table',
+      align: [null, 'right'],
+      children: [
+        {
+          type: 'tableHead',
+          cols: 2,
+          children: [
+            {
+              type: 'tableRow',
+              children: [
+                {
+                  type: 'tableCell',
+                  children: [{type: 'text', value: 'Name'}],
+                  data: {hName: 'th'}
+                },
+                {
+                  type: 'tableCell',
+                  children: [{type: 'text', value: 'Cost'}],
+                  data: {hName: 'th', hProperties: {align: 'right'}}
+                }
+              ],
+              data: {hName: 'tr'}
+            }
+          ],
+          data: {hName: 'thead'}
+        },
+        {
+          type: 'tableBody',
+          cols: 2,
+          children: [
+            {
+              type: 'tableRow',
+              children: [
+                {
+                  type: 'tableCell',
+                  children: [{type: 'text', value: 'Apple'}],
+                  data: {hName: 'td'}
+                },
+                {
+                  type: 'tableCell',
+                  children: [{type: 'text', value: '1,200'}],
+                  data: {hName: 'td', hProperties: {align: 'right'}}
+                }
+              ],
+              data: {hName: 'tr'}
+            }
           ],
-          {delimiterStart: false}
-        ),
-        [
-          'Branch  | Commit           |',
-          '------- | ---------------- |',
-          'main    | 0123456789abcdef |',
-          'staging | fedcba9876543210 |',
-          'develop |                  |'
-        ].join('\n')
-      )
-    }
-  )
+          data: {hName: 'tbody'}
+        }
+      ],
+      data: {hName: 'table'}
+    })
+  })
+
+  await t.test('should support quotes', async function () {
+    assert.deepEqual(
+      toMarkdown(tableFromCsv('a,b\n"say ""hi""","x, y"\n"two\nlines",c'), {
+        extensions: [gfmTableToMarkdown()]
+      }),
+      '| a             | b    |\n| ------------- | ---- |\n| say "hi"      | x, y |\n| two&#xA;lines | c    |\n'
+    )
+  })
+
+  await t.test('should detect delimiters and head rows', async function () {
+    assert.deepEqual(
+      toMarkdown(tableFromCsv('a\tb\n1\t2\n3'), {
+        extensions: [gfmTableToMarkdown()]
+      }),
+      '|  a |  b |\n| -: | -: |\n|  1 |  2 |\n|  3 |    |\n'
+    )
+
+    assert.deepEqual(
+      tableFromCsv('1;2\n3;4').children.map((d) => d.type),
+      ['tableBody']
+    )
+  })
 
   await t.test(
-    'should create rows without ending delimiter',
+    'should support `delimiter`, `header`, and `align`',
     async function () {
-      assert.equal(
-        markdownTable(
-          [
-            ['Branch', 'Commit'],
-            ['main', '0123456789abcdef'],
-            ['staging', 'fedcba9876543210'],
-            ['develop']
-          ],
-          {delimiterEnd: false}
-        ),
-        [
-          '| Branch  | Commit',
-          '| ------- | ----------------',
-          '| main    | 0123456789abcdef',
-          '| staging | fedcba9876543210',
-          '| develop |'
-        ].join('\n')
+      const table = tableFromCsv('a|b,c\n1|2', {
+        delimiter: '|',
+        header: false,
+        align: ['center']
+      })
+
+      assert.deepEqual(table.align, ['center', null])
+      assert.deepEqual(
+        toMarkdown(table, {extensions: [gfmTableToMarkdown()]}),
+        '|  a  | b,c |\n| :-: | --- |\n|  1  | 2   |\n'
       )
     }
   )
+})
+
+test('tableToCsv', async function (t) {
+  await t.test('should write a line per row', async function () {
+    assert.equal(tableToCsv(spannedTable()), 'A,,B\na,1,2\n,3,4')
+  })
+
+  await t.test('should quote fields', async function () {
+    const table = spannedTable()
+    const body = table.children[1]
+    assert(body.type === 'tableBody')
+    body.children[1].children.push(cell('x, "y"'))
+
+    assert.equal(tableToCsv(table), 'A,,B,\na,1,2,\n,3,4,"x, ""y"""')
+    assert.equal(tableToCsv(table, {extraColumns: 'drop'}), 'A,,B\na,1,2\n,3,4')
+  })
 
   await t.test(
-    'should use `stringLength` to detect cell lengths',
+    'should support `spans`, `delimiter`, and `lineEnding`',
     async function () {
       assert.equal(
-        strip(
-          markdownTable(
-            [
-              ['A', 'B', 'C'],
-              [chalk.red('Red'), chalk.green('Green'), chalk.blue('Blue')],
-              [chalk.bold('Bold'), chalk.underline(''), chalk.italic('Italic')],
-              [
-                chalk.inverse('Inverse'),
-                chalk.strikethrough('Strike'),
-                chalk.hidden('Hidden')
-              ],
-              ['bar', '45', 'lmno']
-            ],
-            {align: ['', 'c', 'r'], stringLength}
-          )
-        ),
-        [
-          '| A       |    B   |      C |',
-          '| ------- | :----: | -----: |',
-          '| Red     |  Green |   Blue |',
-          '| Bold    |        | Italic |',
-          '| Inverse | Strike | Hidden |',
-          '| bar     |   45   |   lmno |'
-        ].join('\n')
+        tableToCsv(spannedTable(), {
+          spans: 'repeat',
+          delimiter: '\t',
+          lineEnding: '\r\n'
+        }),
+        'A\tA\tB\r\na\t1\t2\r\na\t3\t4'
       )
     }
   )
 })
+
+test('tableToRecords', async function (t) {
+  await t.test('should key rows by header text', async function () {
+    assert.deepEqual(tableToRecords(spannedTable()), [
+      {A: 'a', A_2: '1', B: '2'},
+      {A: '', A_2: '3', B: '4'}
+    ])
+  })
+
+  await t.test('should support `spans: repeat`', async function () {
+    assert.deepEqual(tableToRecords(spannedTable(), {spans: 'repeat'}), [
+      {A: 'a', A_2: '1', B: '2'},
+      {A: 'a', A_2: '3', B: '4'}
+    ])
+  })
+
+  await t.test('should support extra columns', async function () {
+    const table = spannedTable()
+    const body = table.children[1]
+    assert(body.type === 'tableBody')
+    body.children[1].children.push(cell('x'))
+
+    assert.deepEqual(tableToRecords(table), [
+      {A: 'a', A_2: '1', B: '2', 'column 4': ''},
+      {A: '', A_2: '3', B: '4', 'column 4': 'x'}
+    ])
+    assert.deepEqual(tableToRecords(table, {extraColumns: 'drop'}), [
+      {A: 'a', A_2: '1', B: '2'},
+      {A: '', A_2: '3', B: '4'}
+    ])
+  })
+
+  await t.test('should use the first row without a head', async function () {
+    const table = spannedTable()
+    table.children.shift()
+
+    assert.deepEqual(tableToRecords(table), [{a: '', 1: '3', 2: '4'}])
+  })
+})
+
+test('gfmTableFromHastHandlers()', async function (t) {
+  await t.test('should keep spans from hast', async function () {
+    const source = fromMarkdown(
+      '+---+---+---+\n| A     | B |\n+===+===+===+\n| a | 1 | 2 |\n|   +---+---+\n|   | 3 | 4 |\n+---+---+---+',
+      {mdastExtensions: [gfmTableFromMarkdown({tableGrid: true})]}
+    )
+    const tree = toMdast(toHast(source, {handlers: gfmTableHastHandlers()}), {
+      handlers: gfmTableFromHastHandlers()
+    })
+    assert(tree.type === 'root')
+    const table = tree.children[0]
+    assert(table.type === 'table')
+
+    assert.deepEqual(
+      serialize(table),
+      '| A | < | B |\n| - | - | - |\n| a | 1 | 2 |\n| ^ | 3 | 4 |\n'
+    )
+  })
+
+  await t.test('should support alignment', async function () {
+    const tree = toMdast(
+      {
+        type: 'element',
+        tagName: 'table',
+        properties: {},
+        children: [
+          {
+            type: 'element',
+            tagName: 'tr',
+            properties: {},
+            children: [
+              element('th', {style: 'color: red; text-align: center'}, 'a'),
+              element('th', {}, 'b'),
+              element('th', {}, 'c')
+            ]
+          },
+          {
+            type: 'element',
+            tagName: 'tr',
+            properties: {},
+            children: [
+              element('td', {colSpan: 2, align: 'left'}, '1'),
+              element('td', {align: 'right'}, '2')
+            ]
+          }
+        ]
+      },
+      {handlers: gfmTableFromHastHandlers()}
+    )
+    assert(tree.type === 'table')
+
+    assert.deepEqual(tree.align, ['center', null, 'right'])
+    assert.deepEqual(
+      tree.children.map((d) => d.type),
+      ['tableHead', 'tableBody']
+    )
+    assert.deepEqual(
+      serialize(tree),
+      '|  a  | b |  c |\n| :-: | - | -: |\n|  1  | < |  2 |\n'
+    )
+  })
+
+  await t.test('should support flow content and pad rows', async function () {
+    const tree = toMdast(
+      {
+        type: 'element',
+        tagName: 'table',
+        properties: {},
+        children: [
+          element('caption', {}, 'Costs'),
+          {
+            type: 'element',
+            tagName: 'tbody',
+            properties: {},
+            children: [
+              {
+                type: 'element',
+                tagName: 'tr',
+                properties: {},
+                children: [
+                  element('td', {}, 'a'),
+                  element('td', {}, 'b'),
+                  element('td', {}, 'c')
+                ]
+              },
+              {
+                type: 'element',
+                tagName: 'tr',
+                properties: {},
+                children: [
+                  {
+                    type: 'element',
+                    tagName: 'td',
+                    properties: {},
+                    children: [element('p', {}, 'x'), element('p', {}, 'y')]
+                  }
+                ]
+              }
+            ]
+          }
+        ]
+      },
+      {handlers: gfmTableFromHastHandlers()}
+    )
+    assert(tree.type === 'table')
+
+    assert.deepEqual(
+      toMarkdown(tree, {extensions: [gfmTableToMarkdown()]}),
+      'Table: Costs\n\n+---+---+---+\n| a | b | c |\n+---+---+---+\n| x |   |   |\n|   |   |   |\n| y |   |   |\n+---+---+---+\n'
+    )
+  })
+
+  await t.test('should support feet and flatten captions', async function () {
+    const tree = toMdast(
+      {
+        type: 'element',
+        tagName: 'table',
+        properties: {},
+        children: [
+          {
+            type: 'element',
+            tagName: 'caption',
+            properties: {},
+            children: [element('p', {}, 'x'), element('p', {}, 'y')]
+          },
+          element('thead', {}, element('tr', {}, element('th', {}, 'a'))),
+          element('tbody', {}, element('tr', {}, element('td', {}, '1'))),
+          element('tfoot', {}, element('tr', {}, element('td', {}, '2')))
+        ]
+      },
+      {handlers: gfmTableFromHastHandlers()}
+    )
+    assert(tree.type === 'table')
+
+    assert.deepEqual(
+      tree.children.map((d) => d.type),
+      ['tableCaption', 'tableHead', 'tableBody', 'tableFoot']
+    )
+    assert.deepEqual(tree.children[0].children, [{type: 'text', value: 'x y'}])
+  })
+})
+
+/**
+ * @param {string} tagName
+ * @param {import('hast').Properties} properties
+ * @param {string | import('hast').Element} child
+ * @returns {import('hast').Element}
+ */
+function element(tagName, properties, child) {
+  return {
+    type: 'element',
+    tagName,
+    properties,
+    children: [typeof child === 'string' ? {type: 'text', value: child} : child]
+  }
+}
+
+test('sortTableRows', async function (t) {
+  await t.test('should sort body rows by value', async function () {
+    assert.deepEqual(
+      serialize(
+        sortTableRows(
+          tableFromCsv('Item,Cost\npear,"1,200"\napple,900\nfig,12'),
+          1
+        )
+      ),
+      '| Item  |  Cost |\n| ----- | ----: |\n| fig   |    12 |\n| apple |   900 |\n| pear  | 1,200 |\n'
+    )
+  })
+
+  await t.test('should support `locales` and `descending`', async function () {
+    assert.deepEqual(
+      serialize(
+        sortTableRows(tableFromCsv('Item\npear\nÄpfel\napple'), 0, {
+          locales: 'de',
+          descending: true
+        })
+      ),
+      '| Item  |\n| ----- |\n| pear  |\n| apple |\n| Äpfel |\n'
+    )
+  })
+
+  await t.test('should support a compare function', async function () {
+    assert.deepEqual(
+      serialize(
+        sortTableRows(
+          tableFromCsv('Item\npear\nfig\napple'),
+          0,
+          (a, b) => a.length - b.length
+        )
+      ),
+      '| Item  |\n| ----- |\n| fig   |\n| pear  |\n| apple |\n'
+    )
+  })
+
+  await t.test('should keep rows joined by a rowspan', async function () {
+    const table = spannedTable()
+    const body = table.children[1]
+    assert(body.type === 'tableBody')
+    body.children.push({
+      type: 'tableRow',
+      children: [cell('0'), cell('5'), cell('6')]
+    })
+
+    assert.deepEqual(
+      serialize(sortTableRows(table, 0)),
+      '| A | < | B |\n| - | - | - |\n| 0 | 5 | 6 |\n| a | 1 | 2 |\n| ^ | 3 | 4 |\n'
+    )
+  })
+})
+
+test('filterTableRows', async function (t) {
+  await t.test('should remove body rows', async function () {
+    assert.deepEqual(
+      serialize(
+        filterTableRows(
+          tableFromCsv('Item,Cost\npear,3\napple,9\nfig,12'),
+          (values) => Number(values[1]) > 5
+        )
+      ),
+      '| Item  | Cost |\n| ----- | ---: |\n| apple |    9 |\n| fig   |   12 |\n'
+    )
+  })
+
+  await t.test('should shorten rowspans', async function () {
+    assert.deepEqual(
+      serialize(filterTableRows(spannedTable(), (values) => values[1] !== '1')),
+      '| A | < | B |\n| - | - | - |\n| a | 3 | 4 |\n'
+    )
+  })
+})
+
+test('transposeTable', async function (t) {
+  await t.test('should swap rows and columns', async function () {
+    const table = transposeTable(tableFromCsv('Feature,A,B\nx,1,2\ny,3,4'))
+
+    assert.deepEqual(
+      serialize(table),
+      '| Feature |  x |  y |\n| ------: | -: | -: |\n|       A |  1 |  3 |\n|       B |  2 |  4 |\n'
+    )
+    const body = table.children[1]
+    assert(body.type === 'tableBody')
+    assert.deepEqual(
+      body.children.map((row) => row.children.map((d) => d.data?.hName)),
+      [
+        ['th', 'td', 'td'],
+        ['th', 'td', 'td']
+      ]
+    )
+    const head = table.children[0]
+    assert(head.type === 'tableHead')
+    assert.deepEqual(
+      [...head.children, ...body.children].flatMap((row) =>
+        row.children.map((d) => d.data?.hProperties)
+      ),
+      Array.from({length: 9}, () => ({align: 'right'}))
+    )
+  })
+
+  await t.test('should drop widths', async function () {
+    const table = tableFromCsv('a,b\n1,2')
+    table.data = {...table.data, tableWidths: [0.5, 0.5]}
+
+    assert.deepEqual(transposeTable(table).data, {hName: 'table'})
+  })
+
+  await t.test('should undo itself', async function () {
+    const table = transposeTable(tableFromCsv('Feature,A\nx,1\ny,3'))
+    const expected = structuredClone(table)
+
+    assert.deepEqual(transposeTable(transposeTable(table)), expected)
+  })
+
+  await t.test('should drop alignment no column has', async function () {
+    const table = tableFromCsv('a,b\n1,x', {align: ['right', null]})
+    transposeTable(table)
+    const body = table.children[1]
+    assert(body.type === 'tableBody')
+
+    assert.deepEqual(table.align, [null, null])
+    assert.deepEqual(body.children[0].children[1].data, {hName: 'td'})
+  })
+
+  await t.test('should swap colspans and rowspans', async function () {
+    assert.deepEqual(
+      serialize(transposeTable(spannedTable())),
+      '| A | a | < |\n| - | - | - |\n|   | 1 | 3 |\n| B | 2 | 4 |\n'
+    )
+  })
+})
+
+test('mergeTableCells', async function (t) {
+  const csv = 'Type,Name,Cost\nFruit,Apple,1\nFruit,Pear,1\nLeaf,Kale,2'
+
+  await t.test('should merge identical cells', async function () {
+    const table = mergeTableCells(tableFromCsv(csv))
+
+    assert.deepEqual(
+      serialize(table),
+      '| Type  | Name  | Cost |\n| ----- | ----- | ---: |\n| Fruit | Apple |    1 |\n| ^     | Pear  |    ^ |\n| Leaf  | Kale  |    2 |\n'
+    )
+    const body = table.children[1]
+    assert(body.type === 'tableBody')
+    assert.deepEqual(body.children[0].children[0], {
+      type: 'tableCell',
+      children: [{type: 'text', value: 'Fruit'}],
+      data: {hName: 'td', hProperties: {rowspan: 2}},
+      rowspan: 2
+    })
+  })
+
+  await t.test('should merge cells in some columns', async function () {
+    assert.deepEqual(
+      serialize(mergeTableCells(tableFromCsv(csv), {columns: [0]})),
+      '| Type  | Name  | Cost |\n| ----- | ----- | ---: |\n| Fruit | Apple |    1 |\n| ^     | Pear  |    1 |\n| Leaf  | Kale  |    2 |\n'
+    )
+  })
+
+  await t.test('should merge rectangles', async function () {
+    assert.deepEqual(
+      serialize(mergeTableCells(tableFromCsv('A,B,C\nx,x,\nx,x,\ny,y,y'))),
+      '| A | B | C |\n| - | - | - |\n| x | < |   |\n| ^ | ^ |   |\n| y | < | < |\n'
+    )
+    assert.deepEqual(
+      serialize(
+        mergeTableCells(tableFromCsv('A,B\nx,x\nx,y'), {
+          direction: 'horizontal'
+        })
+      ),
+      '| A | B |\n| - | - |\n| x | < |\n| x | y |\n'
+    )
+  })
+
+  await t.test('should not merge across sections', async function () {
+    assert.deepEqual(
+      serialize(mergeTableCells(tableFromCsv('x,y\nx,z', {header: true}))),
+      '| x | y |\n| - | - |\n| x | z |\n'
+    )
+  })
+})
+
+test('unmergeTableCells', async function (t) {
+  await t.test('should copy spanning cells', async function () {
+    const table = unmergeTableCells(spannedTable())
+
+    assert.deepEqual(
+      serialize(table),
+      '| A | A | B |\n| - | - | - |\n| a | 1 | 2 |\n| a | 3 | 4 |\n'
+    )
+    assert.deepEqual(table.children[0].children[0].children[1], {
+      type: 'tableCell',
+      children: [{type: 'text', value: 'A'}],
+      data: {hProperties: {}}
+    })
+  })
+
+  await t.test('should undo mergeTableCells', async function () {
+    const csv = 'Type,Name\nFruit,Apple\nFruit,Pear\nLeaf,Kale'
+
+    assert.deepEqual(
+      serialize(unmergeTableCells(mergeTableCells(tableFromCsv(csv)))),
+      serialize(tableFromCsv(csv))
+    )
+  })
+})